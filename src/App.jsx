@@ -1,17 +1,53 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import GameBoard from './components/GameBoard';
 import StatsPage from './components/StatsPage';
 import Leaderboard from './Leaderboard';
+import CustomDifficultyEditor from './components/CustomDifficultyEditor';
+import GamepadBindings from './components/GamepadBindings';
+import AccessibilitySettings from './components/AccessibilitySettings';
+import AudioMixer from './components/AudioMixer';
+import MusicLibrary from './components/MusicLibrary';
+import MelodySettings from './components/MelodySettings';
 import { fetchScores, submitScore } from './api';
+import { compactLog, runChecksum } from './verify';
+import { enqueueScore, flushQueue, isRetryable, nextRetryAt, readQueue } from './scoreQueue';
+import { dailyKey } from './rng';
+import { GRID_SIZES, modeRules } from './engine';
+import { readPadBindings, savePadBindings } from './gamepad';
+import { readMixer, saveMixer, setMixerLevels } from './audio';
+import {
+  BUNDLED_TRACKS, DEFAULT_MELODY, DEFAULT_TRACK_ID, MAX_TRACK_BYTES, readTrackId, saveTrackId,
+} from './music';
+import { deleteUserTrack, getUserTrackBlob, listUserTracks, putUserTrack, updateUserTrack } from './db';
+import { detectBeat, readBeatCache, saveBeatCache } from './beats';
+import {
+  findMelodySet, readCustomMelodies, readMelodySettings, saveCustomMelodies, saveMelodySettings,
+} from './melodies';
+import { REDUCED_MOTION_QUERY, applyA11y, readA11y, saveA11y, systemPrefersReducedMotion } from './a11y';
+import {
+  PRESET_PARAM, decodePreset, defaultCustomSettings, encodePreset, validateSettings,
+} from './presets';
+import {
+  DEVICE_KEY, NAME_KEY, appendRun, defaultGridSize, migrateLegacyStats, readDailyBests, readGhost, readPersonalBest,
+  readPersonalBests, readStreak, recordKey, saveGhost, todayStr, touchStreak, updateDailyBest, updateHistory,
+  updatePersonalBest,
+} from './storage';
 import './styles.css';
 
-const DEVICE_KEY  = 'arcade_arena_device';
-const NAME_KEY    = 'arcade_arena_player';
-const PB_KEY      = 'arcade_arena_pb';
-const DAILY_KEY   = 'arcade_arena_daily';    // { date, score }
-const STREAK_KEY  = 'arcade_arena_streak';   // { lastDate, count }
-const HISTORY_KEY = 'arcade_arena_history';  // { [dateStr]: { score, games } }
-const RUNS_KEY    = 'arcade_arena_runs';     // RunRecord[] newest-first, max 20
+const GHOST_ON_KEY = 'arcade_arena_ghost_on';
+const KEYS_ON_KEY = 'arcade_arena_keys_on';  // keyboard play (see keymaps.js)
+const GRID_KEY    = 'arcade_arena_grid';
+const CUSTOM_KEY  = 'arcade_arena_custom';   // settings object for the Custom difficulty
+
+const MODES = [
+  { id: 'solo',     label: 'Classic' },
+  { id: 'daily',    label: 'Daily Challenge' },
+  { id: 'sprint',   label: 'Sprint' },
+  { id: 'survival', label: 'Survival' },
+  { id: 'zen',      label: 'Zen' },
+  { id: 'rhythm',   label: 'Rhythm' },
+];
+const modeLabel = (id) => MODES.find((m) => m.id === id)?.label ?? id;
 
 // ─── helpers ────────────────────────────────────────────────────────────────
 
@@ -25,74 +61,33 @@ const ensureDeviceId = () => {
   return id;
 };
 
-const todayStr = () => new Date().toISOString().split('T')[0];
-const yesterdayStr = () => new Date(Date.now() - 86_400_000).toISOString().split('T')[0];
-
-const readPersonalBest = () => parseInt(localStorage.getItem(PB_KEY) || '0', 10);
-const updatePersonalBest = (score) => {
-  const current = readPersonalBest();
-  if (score > current) { localStorage.setItem(PB_KEY, String(score)); return score; }
-  return current;
+// First visit keeps the old width-based default (4x4 on phones, 5x5 otherwise)
+const readGridSize = () => {
+  const stored = parseInt(localStorage.getItem(GRID_KEY) || '', 10);
+  if (GRID_SIZES.includes(stored)) return stored;
+  return defaultGridSize();
 };
 
-const readDailyBest = () => {
+const readCustomSettings = () => {
   try {
-    const data = JSON.parse(localStorage.getItem(DAILY_KEY) || 'null');
-    return data?.date === todayStr() ? data.score : 0;
-  } catch { return 0; }
-};
-const updateDailyBest = (score) => {
-  const current = readDailyBest();
-  const best = Math.max(current, score);
-  localStorage.setItem(DAILY_KEY, JSON.stringify({ date: todayStr(), score: best }));
-  return best;
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_KEY) || 'null');
+    if (stored && Object.keys(validateSettings(stored)).length === 0) return stored;
+  } catch { /* fall through */ }
+  return defaultCustomSettings();
 };
 
-const readStreak = () => {
-  try {
-    const data = JSON.parse(localStorage.getItem(STREAK_KEY) || 'null');
-    if (!data) return 0;
-    if (data.lastDate === todayStr() || data.lastDate === yesterdayStr()) return data.count;
-    return 0;
-  } catch { return 0; }
-};
-const touchStreak = () => {
-  try {
-    const data = JSON.parse(localStorage.getItem(STREAK_KEY) || 'null');
-    const today = todayStr();
-    const yesterday = yesterdayStr();
-    let newCount = 1;
-    if (data) {
-      if (data.lastDate === today)          newCount = data.count;
-      else if (data.lastDate === yesterday) newCount = data.count + 1;
-    }
-    localStorage.setItem(STREAK_KEY, JSON.stringify({ lastDate: today, count: newCount }));
-    return newCount;
-  } catch { return 1; }
+// A shared ?preset= link, consumed once on load
+const takeSharedPreset = () => {
+  const url  = new URL(window.location.href);
+  const code = url.searchParams.get(PRESET_PARAM);
+  if (!code) return null;
+  url.searchParams.delete(PRESET_PARAM);
+  window.history.replaceState(null, '', url.toString());
+  return decodePreset(code);
 };
 
-// Daily history: best score per day, for the performance chart
-const updateHistory = (dateStr, score) => {
-  try {
-    const hist = JSON.parse(localStorage.getItem(HISTORY_KEY) || '{}');
-    const prev = hist[dateStr] || { score: 0, games: 0 };
-    hist[dateStr] = { score: Math.max(prev.score, score), games: prev.games + 1 };
-    // Keep only last 60 days to prevent unbounded growth
-    const keys = Object.keys(hist).sort();
-    if (keys.length > 60) delete hist[keys[0]];
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(hist));
-  } catch { /* noop */ }
-};
-
-// Individual run records, newest-first, capped at 20
-const appendRun = (run) => {
-  try {
-    const runs = JSON.parse(localStorage.getItem(RUNS_KEY) || '[]');
-    runs.unshift(run);
-    if (runs.length > 20) runs.length = 20;
-    localStorage.setItem(RUNS_KEY, JSON.stringify(runs));
-  } catch { /* noop */ }
-};
+migrateLegacyStats();
+const sharedPreset = takeSharedPreset();
 
 // ─── component ──────────────────────────────────────────────────────────────
 
@@ -103,31 +98,182 @@ function App() {
   const [nameEditMode, setNameEditMode] = useState(false);
 
   const [deviceId] = useState(ensureDeviceId);
-  const [mode]     = useState('solo');
-  const [difficulty, setDifficulty] = useState('normal');
+  const [mode, setMode] = useState('solo');
+  const [difficulty, setDifficulty] = useState(sharedPreset ? 'custom' : 'normal');
+  const [customSettings, setCustomSettings] = useState(() => sharedPreset || readCustomSettings());
+  const [presetNotice, setPresetNotice] = useState(!!sharedPreset);
+  const [gridSize, setGridSize]     = useState(readGridSize);
   const [view, setView]             = useState('game'); // 'game' | 'stats'
-
-  const [scores,  setScores]  = useState([]);
+  const [ghostOn, setGhostOn]       = useState(() => localStorage.getItem(GHOST_ON_KEY) === '1');
+  const [keysOn, setKeysOn]         = useState(() => localStorage.getItem(KEYS_ON_KEY) === '1');
+  const [padBindings, setPadBindings]   = useState(readPadBindings);
+  const [padRemapping, setPadRemapping] = useState(false);
+  const [a11y, setA11y]                 = useState(readA11y);
+  const [mixer, setMixer]               = useState(readMixer);
+  const [trackId, setTrackId]           = useState(readTrackId);
+  const [userTracks, setUserTracks]     = useState([]);    // metadata from IndexedDB
+  const [userTrackSrc, setUserTrackSrc] = useState(null);  // object URL for the selected user track
+  const [libraryError, setLibraryError] = useState('');
+  const [beatCache, setBeatCache]       = useState(readBeatCache);  // detected grids for bundled tracks
+  const [beatStatus, setBeatStatus]     = useState('ready');
+  const [beatProgress, setBeatProgress] = useState(null);   // 0–1 while detecting
+  const [runLive, setRunLive]           = useState(false);  // a run is playing or paused
+  const [melody, setMelody]             = useState(readMelodySettings);   // { setId, harmony }
+  const [customMelodies, setCustomMelodies] = useState(readCustomMelodies);
+  const [systemReduced, setSystemReduced] = useState(systemPrefersReducedMotion);
+
+  const [boards,  setBoards]  = useState({});  // fetched scores by boardKey, kept for offline
   const [loading, setLoading] = useState(false);
   const [error,   setError]   = useState('');
   const [lbPeriod, setLbPeriod] = useState('all');
+  const [lbDifficulty, setLbDifficulty] = useState('normal');
+  const [lbGridSize, setLbGridSize]     = useState(gridSize);
 
   const [drawerOpen, setDrawerOpen]   = useState(false);
   const [copyStatus, setCopyStatus]   = useState('');
   const [shareStatus, setShareStatus] = useState('');
   const [noNameWarning, setNoNameWarning] = useState(false);
+  const [online, setOnline]               = useState(() => navigator.onLine !== false);
+  const [pendingSync, setPendingSync]     = useState(() => readQueue().length);
+  const [syncRound, setSyncRound]         = useState(0);  // bumps after every flush to reschedule the retry
 
-  const [personalBest, setPersonalBest] = useState(readPersonalBest);
-  const [dailyBest,    setDailyBest]    = useState(readDailyBest);
+  // Keyed by difficulty and grid — a Normal 3×3 score never shadows Hard or 6×6 progress
+  const [personalBests, setPersonalBests] = useState(readPersonalBests);
+  const [dailyBests,    setDailyBests]    = useState(readDailyBests);
   const [loginStreak,  setLoginStreak]  = useState(readStreak);
   const [lastRun,      setLastRun]      = useState(null);
 
-  const loadScores = async (selectedMode = mode, period = lbPeriod) => {
+  // Sprint and Survival keep their own bests, and every grid size its own (see recordKey)
+  const bestKey      = recordKey(mode, difficulty, gridSize);
+  const personalBest = personalBests[bestKey] || 0;
+  const dailyBest    = dailyBests[bestKey]    || 0;
+  // Classic's slot for this difficulty and grid; re-read when the PB moves —
+  // a new PB run replaces the ghost
+  const ghostKey = recordKey('solo', difficulty, gridSize);
+  const ghost = useMemo(() => readGhost(ghostKey), [ghostKey, personalBest]);
+
+  const melodySet = useMemo(() => findMelodySet(melody.setId, customMelodies), [melody.setId, customMelodies]);
+
+  const bundledTracks = useMemo(
+    () => BUNDLED_TRACKS.map((t) => ({ ...t, beat: t.beat ?? beatCache[t.id] ?? null })),
+    [beatCache]
+  );
+  // A user track that's gone (deleted, storage cleared) falls back to the default
+  const track = useMemo(() => {
+    const user = userTracks.find((t) => t.id === trackId);
+    if (user) return { ...user, beat: user.beat ?? null, src: userTrackSrc };
+    return bundledTracks.find((t) => t.id === trackId)
+      ?? bundledTracks.find((t) => t.id === DEFAULT_TRACK_ID);
+  }, [trackId, userTracks, userTrackSrc, bundledTracks]);
+
+  useEffect(() => { localStorage.setItem(GHOST_ON_KEY, ghostOn ? '1' : '0'); }, [ghostOn]);
+  useEffect(() => { localStorage.setItem(KEYS_ON_KEY, keysOn ? '1' : '0'); }, [keysOn]);
+  useEffect(() => { savePadBindings(padBindings); }, [padBindings]);
+  useEffect(() => { saveMixer(mixer); setMixerLevels(mixer); }, [mixer]);
+  useEffect(() => { saveTrackId(trackId); }, [trackId]);
+  useEffect(() => { saveMelodySettings(melody); }, [melody]);
+  useEffect(() => { saveCustomMelodies(customMelodies); }, [customMelodies]);
+  useEffect(() => {
+    listUserTracks().then(setUserTracks).catch(() => { /* no IndexedDB — bundled tracks only */ });
+  }, []);
+  // Only the selected user track's blob is loaded, as an object URL
+  useEffect(() => {
+    setUserTrackSrc(null);
+    if (!userTracks.some((t) => t.id === trackId)) return undefined;
+    let url = null;
+    let live = true;
+    getUserTrackBlob(trackId).then((blob) => {
+      if (!live || !blob) return;
+      url = URL.createObjectURL(blob);
+      setUserTrackSrc(url);
+    }).catch(() => setLibraryError('Could not load that track.'));
+    return () => {
+      live = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [trackId, userTracks.length]); // eslint-disable-line
+  // Rhythm needs a beat grid; find one for tracks that don't declare it.
+  // Never while a run is live (a track switched mid-run waits for the end):
+  // decoding a whole song competes with the game for the CPU.
+  useEffect(() => {
+    if (!modeRules(mode).beats || track.beat || !track.src) { setBeatStatus('ready'); return undefined; }
+    setBeatStatus('detecting');
+    setBeatProgress(null);
+    if (runLive) return undefined;
+    let live = true;
+    const abort = new AbortController();
+    detectBeat(track.src, { signal: abort.signal, onProgress: (p) => { if (live) setBeatProgress(p); } }).then((beat) => {
+      if (!live) return;
+      if (userTracks.some((t) => t.id === track.id)) {
+        handleUpdateTrack(track.id, { beat });
+      } else {
+        saveBeatCache(track.id, beat);
+        setBeatCache((prev) => ({ ...prev, [track.id]: beat }));
+      }
+    }).catch(() => { if (live) setBeatStatus('failed'); });
+    return () => { live = false; abort.abort(); };
+  }, [mode, track.id, track.src, !!track.beat, runLive]); // eslint-disable-line
+  useEffect(() => { saveA11y(a11y); applyA11y(a11y, systemReduced); }, [a11y, systemReduced]);
+  // Follow the OS setting live when motion is left on "System"
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!query) return undefined;
+    const onChange = (e) => setSystemReduced(e.matches);
+    query.addEventListener?.('change', onChange);
+    return () => query.removeEventListener?.('change', onChange);
+  }, []);
+  useEffect(() => { localStorage.setItem(GRID_KEY, String(gridSize)); }, [gridSize]);
+  useEffect(() => { localStorage.setItem(CUSTOM_KEY, JSON.stringify(customSettings)); }, [customSettings]);
+  useEffect(() => {
+    if (!presetNotice) return undefined;
+    const id = setTimeout(() => setPresetNotice(false), 4000);
+    return () => clearTimeout(id);
+  }, [presetNotice]);
+
+  // Sends queued scores; `force` skips the backoff (connectivity just came back)
+  const syncPending = async (force = false) => {
+    const { sent, dropped, remaining } = await flushQueue({ force });
+    setPendingSync(remaining);
+    setSyncRound((n) => n + 1);
+    if (dropped.length > 0) setError(`${dropped.length} queued score${dropped.length === 1 ? '' : 's'} rejected: ${dropped[0].error}`);
+  };
+
+  useEffect(() => {
+    if (readQueue().length > 0) syncPending(true);
+    const onOnline = () => {
+      setOnline(true);
+      syncPending(true);
+    };
+    const onOffline = () => setOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, []); // eslint-disable-line
+
+  // Retry on the queue's own backoff schedule while anything is waiting
+  useEffect(() => {
+    if (pendingSync === 0) return undefined;
+    const due = nextRetryAt();
+    if (due === null) return undefined;
+    const id = setTimeout(() => syncPending(), Math.max(1000, due - Date.now()));
+    return () => clearTimeout(id);
+  }, [pendingSync, syncRound]); // eslint-disable-line
+
+  const loadScores = async (
+    selectedMode = mode,
+    period = lbPeriod,
+    board = { difficulty: lbDifficulty, gridSize: lbGridSize },
+  ) => {
+    // Zen runs are never submitted, so there is no board to show
+    if (!modeRules(selectedMode).ranked) { setError(''); return; }
     setLoading(true);
     setError('');
     try {
-      const list = await fetchScores(selectedMode, period);
-      setScores(list);
+      const list = await fetchScores(selectedMode, period, scoreScope(selectedMode, board));
+      setBoards((prev) => ({ ...prev, [boardKey(selectedMode, period, board)]: list }));
     } catch (err) {
       setError(err.message || 'Failed to load scores');
     } finally {
@@ -135,7 +281,30 @@ function App() {
     }
   };
 
-  useEffect(() => { loadScores(mode, lbPeriod); }, [mode, lbPeriod]); // eslint-disable-line
+  // Also refetch on reconnect and whenever queued scores land
+  useEffect(() => {
+    loadScores(mode, lbPeriod, { difficulty: lbDifficulty, gridSize: lbGridSize });
+  }, [mode, lbPeriod, lbDifficulty, lbGridSize, online, pendingSync]); // eslint-disable-line
+
+  // Follow the player's settings so the board they see is the one they compete on
+  // (Custom is unranked, so the board stays where it was)
+  useEffect(() => { if (difficulty !== 'custom') setLbDifficulty(difficulty); }, [difficulty]);
+  useEffect(() => { setLbGridSize(gridSize); }, [gridSize]);
+
+  // Boards are split by difficulty and grid size; Daily Challenge boards are
+  // also scoped to a single day (the run's own, when there is one)
+  const scoreScope = (selectedMode, board) => ({
+    difficulty: board.difficulty,
+    gridSize:   board.gridSize,
+    ...(selectedMode === 'daily' ? { day: board.day ?? dailyKey() } : {}),
+  });
+
+  // One cached board per mode, period and record slot (and day, for Daily), so
+  // offline the leaderboard only ever shows rows fetched for the board picked
+  const boardKey = (selectedMode, period, board) => [
+    selectedMode, period, recordKey(selectedMode, board.difficulty, board.gridSize), scoreScope(selectedMode, board).day,
+  ].filter(Boolean).join('|');
+  const scores = boards[boardKey(mode, lbPeriod, { difficulty: lbDifficulty, gridSize: lbGridSize })] ?? [];
 
   const handleSaveName = () => {
     const cleaned = pendingName.trim();
@@ -160,6 +329,12 @@ function App() {
     fastestHit  = null,
     avgReaction = null,
     maxStreak   = 0,
+    seed        = null,
+    day         = null,
+    grid        = null,
+    reactions   = [],
+    tiles       = null,
+    log         = [],
   }) => {
     // FIX: was a silent drop — now warns the user
     if (!playerName.trim() || !nameLocked) {
@@ -168,35 +343,82 @@ function App() {
       return;
     }
 
-    const today = todayStr();
+    const today    = todayStr();
+    const isCustom = difficulty === 'custom';
+    const ranked   = !isCustom && modeRules(mode).ranked;
+    const key      = recordKey(mode, difficulty, gridSize);
 
     // Persist locally first so stats are saved even if server fails
-    updateHistory(today, score);
+    if (modeRules(mode).ranked) updateHistory(today, key, score);
     appendRun({
       timestamp:   Date.now(),
       date:        today,
       score,
+      mode,
+      seed,
       difficulty,
+      ...(ranked ? {} : { unranked: true }),
+      ...(isCustom ? { preset: encodePreset(customSettings) } : {}),
+      gridSize,
       hits,
       misses,
       accuracy,
       fastestHit,
       avgReaction,
       maxStreak,
+      reactions,
+      tiles,
+      grid,
+      log,
     });
 
-    const newPB     = updatePersonalBest(score);
-    const newDaily  = updateDailyBest(score);
     const newStreak = touchStreak();
-
-    setPersonalBest(newPB);
-    setDailyBest(newDaily);
     setLoginStreak(newStreak);
 
+    // Custom settings vary run to run, Zen has no end condition and Rhythm
+    // scores depend on the track, so none of them sets bests or reaches the board
+    if (!ranked) {
+      setLastRun({
+        score, rank: null, isNewPB: false, isNewDaily: false, streak: newStreak,
+        unranked: isCustom ? 'Custom run — unranked, saved to your history.' : `${modeLabel(mode)} run — not submitted.`,
+      });
+      return;
+    }
+
+    // Only Classic races a ghost; Daily PB runs still count as Classic ghosts
+    // (both use the same slot). `key` carries the grid size, so a 3×3 best
+    // never replaces the 5×5 ghost.
+    if ((mode === 'solo' || mode === 'daily') && score > readPersonalBest(key) && log.length > 0) {
+      saveGhost(key, { seed, score, grid, log, timestamp: Date.now() });
+    }
+
+    const newPB     = updatePersonalBest(key, score);
+    const newDaily  = updateDailyBest(key, score);
+
+    setPersonalBests((prev) => ({ ...prev, [key]: newPB }));
+    setDailyBests((prev) => ({ ...prev, [key]: newDaily }));
+
+    const board   = { difficulty, gridSize, ...(day ? { day } : {}) };
+    const run     = { seed, mode, difficulty, gridSize, ...(day ? { day } : {}), score, log: compactLog(log) };
+    const payload = {
+      playerName, deviceId, ...scoreScope(mode, board), ...run, checksum: runChecksum(run),
+    };
+    const queueRun = () => {
+      setPendingSync(enqueueScore(payload));
+      setLastRun({
+        score, rank: null, isNewPB: score >= newPB, isNewDaily: score >= newDaily, streak: newStreak, queued: true,
+      });
+    };
+
+    // Known offline — skip the doomed request and queue straight away
+    if (navigator.onLine === false) { queueRun(); return; }
+
     try {
-      await submitScore({ playerName, score, mode, deviceId });
-      const updated = await fetchScores(mode, lbPeriod);
-      setScores(updated);
+      await submitScore(payload);
+      const updated = await fetchScores(mode, lbPeriod, scoreScope(mode, board));
+      setBoards((prev) => ({ ...prev, [boardKey(mode, lbPeriod, board)]: updated }));
+      setLbDifficulty(difficulty);
+      setLbGridSize(gridSize);
       const rank = updated.findIndex((s) => s.playerName === playerName) + 1;
       setLastRun({
         score,
@@ -207,7 +429,48 @@ function App() {
       });
     } catch (err) {
       console.error(err);
-      setError(err.message || 'Could not save score');
+      if (isRetryable(err)) queueRun();
+      else setError(err.message || 'Could not save score');
+    }
+  };
+
+  const handleAddTrack = async (file) => {
+    setLibraryError('');
+    if (!file.type.startsWith('audio/')) { setLibraryError('That file isn’t audio.'); return; }
+    if (file.size > MAX_TRACK_BYTES) {
+      setLibraryError(`Tracks can be up to ${MAX_TRACK_BYTES / 1024 / 1024} MB.`);
+      return;
+    }
+    const added = {
+      id:      `user-${Date.now().toString(36)}`,
+      title:   file.name.replace(/\.[^.]+$/, '') || 'Untitled',
+      artist:  '',
+      type:    file.type,
+      size:    file.size,
+      addedAt: Date.now(),
+      melody:  { ...DEFAULT_MELODY },
+    };
+    try {
+      await putUserTrack({ ...added, blob: file });
+      setUserTracks((prev) => [...prev, added]);
+      setTrackId(added.id);
+    } catch {
+      setLibraryError('Could not save the file — storage may be full or unavailable.');
+    }
+  };
+
+  const handleUpdateTrack = async (id, patch) => {
+    setUserTracks((prev) => prev.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+    try { await updateUserTrack(id, patch); } catch { setLibraryError('Could not save the change.'); }
+  };
+
+  const handleDeleteTrack = async (id) => {
+    try {
+      await deleteUserTrack(id);
+      setUserTracks((prev) => prev.filter((t) => t.id !== id));
+      if (trackId === id) setTrackId(DEFAULT_TRACK_ID);
+    } catch {
+      setLibraryError('Could not remove the track.');
     }
   };
 
@@ -224,7 +487,10 @@ function App() {
   const handleShare = async () => {
     if (!lastRun) return;
     const rankText = lastRun.rank ? ` (rank #${lastRun.rank})` : '';
-    const text = `I scored ${lastRun.score} on Arcade Arena ${difficulty}${rankText} — can you beat it?`;
+    const level = difficulty === 'custom' ? 'custom difficulty' : difficulty;
+    const label = mode === 'daily' ? `Daily Challenge ${dailyKey()}`
+      : mode === 'solo' ? level : `${modeLabel(mode)} (${level})`;
+    const text = `I scored ${lastRun.score} on Arcade Arena ${label}${rankText} — can you beat it?`;
     try {
       if (navigator.share) {
         await navigator.share({ title: 'Arcade Arena', text });
@@ -263,13 +529,16 @@ function App() {
       {loginStreak >= 2 && view === 'game' && nameLocked && (
         <div className="streak-banner">{loginStreak} day streak — keep it going!</div>
       )}
+      {presetNotice && (
+        <div className="streak-banner">Custom preset loaded — open Settings to review it.</div>
+      )}
       {noNameWarning && (
         <div className="warning-banner">Set a player name in Settings to save your score.</div>
       )}
 
       <main className="stack">
         {view === 'stats' ? (
-          <StatsPage />
+          <StatsPage mode={mode} difficulty={difficulty} gridSize={gridSize} />
         ) : !nameLocked && !nameEditMode ? (
           <div className="name-gate">
             <p className="name-gate__eyebrow">Welcome</p>
@@ -301,8 +570,20 @@ function App() {
             playerName={playerName}
             mode={mode}
             difficulty={difficulty}
+            customSettings={customSettings}
+            gridSize={gridSize}
             onFinish={handleFinish}
             personalBest={personalBest}
+            ghost={ghostOn && mode === 'solo' && difficulty !== 'custom' ? ghost : null}
+            keyboardPlay={keysOn}
+            gamepadBindings={padRemapping ? null : padBindings}
+            announce={a11y.announce}
+            track={track}
+            beatStatus={beatStatus}
+            beatProgress={beatProgress}
+            onRunChange={setRunLive}
+            melodySet={melodySet}
+            harmony={melody.harmony}
           />
         )}
       </main>
@@ -357,28 +638,139 @@ function App() {
                   </div>
                 </div>
 
+                {pendingSync > 0 && (
+                  <div className="field inline sync-row">
+                    <span>{pendingSync} score{pendingSync === 1 ? '' : 's'} pending sync</span>
+                    <button type="button" className="mini-btn ghost" onClick={() => syncPending(true)}>Sync now</button>
+                  </div>
+                )}
+
+                {/* Mode */}
+                <label className="field inline">
+                  <span>Mode</span>
+                  <div className="segmented">
+                    {MODES.map((m) => (
+                      <button key={m.id} className={mode === m.id ? 'active' : ''} onClick={() => setMode(m.id)}>
+                        {m.label}
+                      </button>
+                    ))}
+                  </div>
+                </label>
+
                 {/* Difficulty */}
                 <label className="field inline">
                   <span>Difficulty</span>
                   <div className="segmented">
-                    {['normal', 'hard', 'extreme'].map((d) => (
+                    {['normal', 'hard', 'extreme', 'custom'].map((d) => (
                       <button key={d} className={difficulty === d ? 'active' : ''} onClick={() => setDifficulty(d)}>
                         {d.charAt(0).toUpperCase() + d.slice(1)}
                       </button>
                     ))}
                   </div>
                 </label>
+                {difficulty === 'custom' && (
+                  <CustomDifficultyEditor settings={customSettings} onChange={setCustomSettings} />
+                )}
+
+                {/* Grid size */}
+                <label className="field inline">
+                  <span>Grid size</span>
+                  <div className="segmented">
+                    {GRID_SIZES.map((n) => (
+                      <button key={n} className={gridSize === n ? 'active' : ''} onClick={() => setGridSize(n)}>
+                        {n}×{n}
+                      </button>
+                    ))}
+                  </div>
+                </label>
+
+                {/* Ghost race */}
+                <label className="field inline">
+                  <span>Ghost race</span>
+                  <div className="segmented">
+                    <button className={!ghostOn ? 'active' : ''} onClick={() => setGhostOn(false)}>Off</button>
+                    <button className={ghostOn ? 'active' : ''} onClick={() => setGhostOn(true)}>
+                      {ghost ? `PB ${ghost.score}` : 'On'}
+                    </button>
+                  </div>
+                </label>
+
+                {/* Keyboard play */}
+                <label className="field inline">
+                  <span>Keyboard play</span>
+                  <div className="segmented">
+                    <button className={!keysOn ? 'active' : ''} onClick={() => setKeysOn(false)}>Off</button>
+                    <button className={keysOn ? 'active' : ''} onClick={() => setKeysOn(true)}>On</button>
+                  </div>
+                </label>
+
+                {/* Music */}
+                <div className="field">
+                  <span>Music</span>
+                  <MusicLibrary
+                    bundled={bundledTracks}
+                    userTracks={userTracks}
+                    selectedId={track.id}
+                    onSelect={(id) => { setLibraryError(''); setTrackId(id); }}
+                    onAdd={handleAddTrack}
+                    onUpdate={handleUpdateTrack}
+                    onDelete={handleDeleteTrack}
+                    error={libraryError}
+                  />
+                </div>
+
+                {/* Tap melody */}
+                <div className="field">
+                  <span>Tap melody</span>
+                  <MelodySettings
+                    settings={melody}
+                    customSets={customMelodies}
+                    trackKey={track.melody}
+                    onChange={setMelody}
+                    onSaveSet={(set) => setCustomMelodies((prev) => (prev.some((m) => m.id === set.id)
+                      ? prev.map((m) => (m.id === set.id ? set : m))
+                      : [...prev, set]))}
+                    onDeleteSet={(id) => setCustomMelodies((prev) => prev.filter((m) => m.id !== id))}
+                  />
+                </div>
+
+                {/* Sound mix */}
+                <div className="field">
+                  <span>Sound mix</span>
+                  <AudioMixer levels={mixer} onChange={setMixer} />
+                </div>
+
+                {/* Controller */}
+                <div className="field">
+                  <span>Controller</span>
+                  <GamepadBindings bindings={padBindings} onChange={setPadBindings} onRemapChange={setPadRemapping} />
+                </div>
+
+                {/* Accessibility */}
+                <div className="field">
+                  <span>Accessibility</span>
+                  <AccessibilitySettings settings={a11y} onChange={setA11y} />
+                </div>
 
                 <p className="muted small-hint">Space: start / restart &nbsp;·&nbsp; P/Esc: pause</p>
+                {keysOn && (
+                  <p className="muted small-hint">
+                    {gridSize <= 4
+                      ? 'Tiles show their key — tap it when the tile lights up.'
+                      : gridSize === 5
+                        ? 'Tiles show their key — left hand on 1–5 / Q–T / A–G / Z–B, right hand on H J K L ; for the bottom row.'
+                        : 'Arrows move the cursor · Space/Enter taps. Key blocks cover 3×3 to 5×5.'}
+                  </p>
+                )}
 
                 {/* Retention stats */}
                 <div className="stats-row">
                   <div className="stat-chip">
-                    <span className="stat-chip__label">Daily best</span>
+                    <span className="stat-chip__label">Daily best · {difficulty}</span>
                     <span className="stat-chip__value">{dailyBest || '—'}</span>
                   </div>
                   <div className="stat-chip">
-                    <span className="stat-chip__label">All-time best</span>
+                    <span className="stat-chip__label">All-time best · {difficulty}</span>
                     <span className="stat-chip__value">{personalBest || '—'}</span>
                   </div>
                   {loginStreak >= 1 && (
@@ -404,6 +796,8 @@ function App() {
                     )}
                     {lastRun.isNewPB  && <p className="new-best-inline">Personal best!</p>}
                     {lastRun.isNewDaily && !lastRun.isNewPB && <p className="new-best-inline">Best today!</p>}
+                    {lastRun.unranked && <p className="muted small-hint">{lastRun.unranked}</p>}
+                    {lastRun.queued && <p className="muted small-hint">Saved offline — it will sync when you reconnect.</p>}
                     <button className="share-btn" onClick={handleShare}>
                       Share score
                       {shareStatus && <span className="share-toast">{shareStatus}</span>}
@@ -416,9 +810,15 @@ function App() {
                 scores={scores}
                 loading={loading}
                 error={error}
+                mode={mode}
                 period={lbPeriod}
                 onPeriodChange={(p) => setLbPeriod(p)}
+                difficulty={lbDifficulty}
+                onDifficultyChange={(d) => setLbDifficulty(d)}
+                gridSize={lbGridSize}
+                onGridSizeChange={(n) => setLbGridSize(n)}
                 currentPlayerName={playerName}
+                offline={!online}
               />
             </div>
           </div>
@@ -1,32 +1,97 @@
 import React from 'react';
+import { dailyKey } from './rng';
+import { GRID_SIZES } from './engine';
 
-function Leaderboard({ scores, loading, error, period = 'all', onPeriodChange, currentPlayerName = '' }) {
+const DIFFICULTIES = ['normal', 'hard', 'extreme'];
+
+const TITLES = {
+  daily:    'Daily Challenge',
+  sprint:   'Sprint Leaderboard',
+  survival: 'Survival Leaderboard',
+};
+
+// Modes that never reach the board
+const NO_BOARD = {
+  zen:    { title: 'Zen',    text: 'Zen runs are just for you — there is no leaderboard.' },
+  rhythm: { title: 'Rhythm', text: 'Rhythm scores depend on the track you play to, so there is no leaderboard.' },
+};
+
+function Leaderboard({
+  scores, loading, error,
+  mode = 'solo', period = 'all', onPeriodChange,
+  difficulty = 'normal', onDifficultyChange,
+  gridSize = 5, onGridSizeChange,
+  currentPlayerName = '',
+  offline = false,
+}) {
   const topFive = scores.slice(0, 5);
+  const isDaily = mode === 'daily';
+
+  if (NO_BOARD[mode]) {
+    return (
+      <div className="card leaderboard">
+        <div className="card-header"><h3>{NO_BOARD[mode].title}</h3></div>
+        <p className="muted">{NO_BOARD[mode].text}</p>
+      </div>
+    );
+  }
 
   return (
     <div className="card leaderboard">
       <div className="card-header">
-        <h3>Leaderboard</h3>
+        <h3>{TITLES[mode] ?? 'Leaderboard'}</h3>
+        {isDaily && <span className="muted lb-day">{dailyKey()}</span>}
+      </div>
+
+      <div className="lb-filters">
+        {!isDaily && (
+          <div className="segmented">
+            <button
+              className={period === 'all' ? 'active' : ''}
+              onClick={() => onPeriodChange?.('all')}
+            >
+              All-time
+            </button>
+            <button
+              className={period === 'week' ? 'active' : ''}
+              onClick={() => onPeriodChange?.('week')}
+            >
+              This week
+            </button>
+          </div>
+        )}
         <div className="segmented">
-          <button
-            className={period === 'all' ? 'active' : ''}
-            onClick={() => onPeriodChange?.('all')}
-          >
-            All-time
-          </button>
-          <button
-            className={period === 'week' ? 'active' : ''}
-            onClick={() => onPeriodChange?.('week')}
-          >
-            This week
-          </button>
+          {DIFFICULTIES.map((d) => (
+            <button
+              key={d}
+              className={difficulty === d ? 'active' : ''}
+              onClick={() => onDifficultyChange?.(d)}
+            >
+              {d.charAt(0).toUpperCase() + d.slice(1)}
+            </button>
+          ))}
         </div>
+        <select
+          className="select"
+          value={gridSize}
+          onChange={(e) => onGridSizeChange?.(Number(e.target.value))}
+          aria-label="Grid size"
+        >
+          {GRID_SIZES.map((n) => <option key={n} value={n}>{n}×{n}</option>)}
+        </select>
       </div>
 
       {loading && <p className="muted">Loading…</p>}
-      {error   && <p className="error">{error}</p>}
-      {!loading && scores.length === 0 && (
-        <p className="muted">No scores yet{period === 'week' ? ' this week' : ''}. Be first!</p>
+      {offline && (
+        <p className="muted lb-offline">
+          {scores.length > 0
+            ? 'Offline — showing this board as you last loaded it.'
+            : 'Offline — this board will load when you reconnect.'}
+        </p>
+      )}
+      {error && !offline && <p className="error">{error}</p>}
+      {!loading && !offline && scores.length === 0 && (
+        <p className="muted">No scores yet{isDaily ? ' today' : period === 'week' ? ' this week' : ''}. Be first!</p>
       )}
 
       {topFive.length > 0 && (
@@ -0,0 +1,56 @@
+// ─── Accessibility settings ─────────────────────────────────────────────────
+// Applied as data attributes on <html> so plain CSS can restyle everything:
+//   data-palette   target / hazard colours (see the palette block in styles.css)
+//   data-markers   shape + stripe markers on hazard tiles
+//   data-motion    "reduced" strips movement from flashes, pops and combos
+
+export const A11Y_KEY = 'arcade_arena_a11y';
+
+// Colour pairs come from the Okabe–Ito set, which stays distinct under the
+// common colour-vision deficiencies
+export const PALETTES = [
+  { id: 'default',    label: 'Default' },
+  { id: 'redgreen',   label: 'Red–green safe' },    // deuteranopia / protanopia: blue vs orange
+  { id: 'blueyellow', label: 'Blue–yellow safe' },   // tritanopia: white vs vermilion
+  { id: 'contrast',   label: 'High contrast' },
+];
+
+export const MOTION_OPTIONS = [
+  { id: 'system',  label: 'System' },
+  { id: 'reduced', label: 'Reduced' },
+  { id: 'full',    label: 'Full' },
+];
+
+export const DEFAULT_A11Y = {
+  palette:       'default',
+  hazardMarkers: false,
+  motion:        'system',
+  announce:      true,    // ARIA live updates for score, streaks and low time
+};
+
+export const readA11y = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(A11Y_KEY) || 'null');
+    if (stored && typeof stored === 'object') return { ...DEFAULT_A11Y, ...stored };
+  } catch { /* fall through */ }
+  return { ...DEFAULT_A11Y };
+};
+
+export const saveA11y = (settings) => {
+  try { localStorage.setItem(A11Y_KEY, JSON.stringify(settings)); } catch { /* noop */ }
+};
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export const systemPrefersReducedMotion = () =>
+  typeof window !== 'undefined' && !!window.matchMedia?.(REDUCED_MOTION_QUERY).matches;
+
+export const reducedMotion = (settings, systemReduced = systemPrefersReducedMotion()) =>
+  settings.motion === 'reduced' || (settings.motion === 'system' && systemReduced);
+
+export const applyA11y = (settings, systemReduced) => {
+  const root = document.documentElement;
+  root.dataset.palette = settings.palette;
+  root.dataset.markers = settings.hazardMarkers ? 'on' : 'off';
+  root.dataset.motion  = reducedMotion(settings, systemReduced) ? 'reduced' : 'full';
+};
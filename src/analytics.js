@@ -0,0 +1,123 @@
+// ─── Run analytics ──────────────────────────────────────────────────────────
+// Pure helpers over each run's `reactions` ([t, rt] per hit) and `tiles`
+// (outcomes per tile), both from replay.js, for the Stats page. Averages hide
+// whether a player is steady or streaky, or slow in one corner; these show it.
+
+export const HIST_BIN_MS   = 50;
+export const HIST_MAX_MS   = 1000;  // slower hits share the last bin
+export const FATIGUE_BIN_S = 5;
+
+const rtsOf = (run) => (run.reactions ?? []).map(([, rt]) => rt);
+
+// Linear interpolation between the closest ranks
+const quantile = (sorted, q) => {
+  const pos  = (sorted.length - 1) * q;
+  const lo   = Math.floor(pos);
+  const frac = pos - lo;
+  return lo + 1 < sorted.length ? sorted[lo] + (sorted[lo + 1] - sorted[lo]) * frac : sorted[lo];
+};
+
+// { count, mean, median, p90, sd, cv } in ms (cv is sd / mean), or null without hits
+export const reactionStats = (rts) => {
+  if (!rts.length) return null;
+  const sorted = [...rts].sort((a, b) => a - b);
+  const mean   = sorted.reduce((s, x) => s + x, 0) / sorted.length;
+  const sd     = Math.sqrt(sorted.reduce((s, x) => s + (x - mean) ** 2, 0) / sorted.length);
+  return {
+    count:  sorted.length,
+    mean:   Math.round(mean),
+    median: Math.round(quantile(sorted, 0.5)),
+    p90:    Math.round(quantile(sorted, 0.9)),
+    sd:     Math.round(sd),
+    cv:     mean > 0 ? sd / mean : 0,
+  };
+};
+
+export const runReactionStats = (run) => reactionStats(rtsOf(run));
+export const poolReactionStats = (runs) => reactionStats(runs.flatMap(rtsOf));
+
+// Spread relative to speed, so a fast player isn't called streaky for the same ms of jitter
+export const consistencyLabel = (stats) => {
+  if (!stats || stats.count < 5) return null;
+  if (stats.cv < 0.2)  return 'Very consistent';
+  if (stats.cv < 0.3)  return 'Consistent';
+  if (stats.cv < 0.45) return 'Variable';
+  return 'Streaky';
+};
+
+// [{ from, to, count }] in HIST_BIN_MS steps; the last bin is open-ended (to: null)
+export const reactionHistogram = (runs) => {
+  const bins = Array.from({ length: HIST_MAX_MS / HIST_BIN_MS + 1 }, (_, i) => ({
+    from:  i * HIST_BIN_MS,
+    to:    i * HIST_BIN_MS < HIST_MAX_MS ? (i + 1) * HIST_BIN_MS : null,
+    count: 0,
+  }));
+  runs.flatMap(rtsOf).forEach((rt) => {
+    bins[Math.min(Math.floor(rt / HIST_BIN_MS), bins.length - 1)].count += 1;
+  });
+  return bins;
+};
+
+// Median reaction per FATIGUE_BIN_S of elapsed play, oldest window first:
+// [{ s, median, count }]. With several runs each window pools all their hits.
+export const fatigueCurve = (runs) => {
+  const windows = [];
+  runs.forEach((run) => (run.reactions ?? []).forEach(([t, rt]) => {
+    const i = Math.floor(t / 1000 / FATIGUE_BIN_S);
+    (windows[i] ??= []).push(rt);
+  }));
+  return [...windows.entries()]
+    .filter(([, rts]) => rts?.length)
+    .map(([i, rts]) => ({ s: i * FATIGUE_BIN_S, median: reactionStats(rts).median, count: rts.length }));
+};
+
+// Per-run stats, oldest first, for runs that recorded their hits
+export const reactionTrend = (runs) => runs
+  .filter((run) => run.reactions?.length)
+  .map((run) => ({ timestamp: run.timestamp, ...runReactionStats(run) }))
+  .reverse();
+
+// ─── Tile heatmap ───────────────────────────────────────────────────────────
+// Pools each run's `tiles` ([hits, misses, stray, reactionTotal] per tile, see
+// replay.js) for one grid size: [{ cell, hits, misses, stray, targets,
+// missRate, avgReaction }], missRate / avgReaction null where nothing landed.
+
+export const tileHeatmap = (runs, size) => {
+  const count = size * size;
+  const sums  = Array.from({ length: count }, () => [0, 0, 0, 0]);
+  runs.forEach((run) => {
+    if (run.tiles?.length !== count) return;
+    run.tiles.forEach((tile, i) => tile.forEach((v, k) => { sums[i][k] += v; }));
+  });
+  return sums.map(([hits, misses, stray, rtTotal], cell) => ({
+    cell,
+    hits,
+    misses,
+    stray,
+    targets:     hits + misses,
+    missRate:    hits + misses > 0 ? misses / (hits + misses) : null,
+    avgReaction: hits > 0 ? Math.round(rtTotal / hits) : null,
+  }));
+};
+
+// Grid sizes with recorded tile data, most-played first
+export const heatmapSizes = (runs) => {
+  const counts = {};
+  runs.forEach((run) => {
+    const size = run.tiles?.length ? Math.round(Math.sqrt(run.tiles.length)) : null;
+    if (size) counts[size] = (counts[size] || 0) + 1;
+  });
+  return Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a] || a - b);
+};
+
+// "top-left corner", "bottom edge, column 3", "row 2, column 3"
+export const tileName = (cell, size) => {
+  const row = Math.floor(cell / size);
+  const col = cell % size;
+  const v = row === 0 ? 'top' : row === size - 1 ? 'bottom' : null;
+  const h = col === 0 ? 'left' : col === size - 1 ? 'right' : null;
+  if (v && h) return `${v}-${h} corner`;
+  if (v) return `${v} edge, column ${col + 1}`;
+  if (h) return `${h} edge, row ${row + 1}`;
+  return `row ${row + 1}, column ${col + 1}`;
+};
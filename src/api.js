@@ -1,21 +1,38 @@
-const base = import.meta.env.VITE_API_BASE || 'https://reflextile-api-v2.atlasholdin.com';
+// An explicitly empty VITE_API_BASE sends requests to the dev server, which
+// verifies submissions locally before proxying them (see vite.config.js).
+// `env` only exists under Vite; plain Node (the tests) gets the default.
+const base = import.meta.env?.VITE_API_BASE ?? 'https://reflextile-api-v2.atlasholdin.com';
 
-export async function fetchScores(mode, period) {
+// HTTP failures carry their status; network failures (fetch rejecting) have none
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+// `day` scopes the board to one Daily Challenge (YYYY-MM-DD, UTC)
+export async function fetchScores(mode, period, { day, difficulty, gridSize } = {}) {
   const query = new URLSearchParams();
   if (mode)           query.set('mode',   mode);
   if (period === 'week') query.set('period', 'week');
+  if (day)            query.set('day',    day);
+  if (difficulty)     query.set('difficulty', difficulty);
+  if (gridSize)       query.set('gridSize', String(gridSize));
   const res = await fetch(`${base}/api/scores?${query.toString()}`);
-  if (!res.ok) throw new Error('Failed to load scores');
+  if (!res.ok) throw httpError('Failed to load scores', res.status);
   return res.json();
 }
 
-export async function submitScore({ playerName, score, mode, deviceId }) {
+// `log` and `checksum` let the server replay the run (see verify.js);
+// `playedAt` (epoch ms) is set when a queued score is synced after the fact
+export async function submitScore({
+  playerName, score, mode, difficulty, gridSize, deviceId, seed, day, log, checksum, playedAt,
+}) {
   const res = await fetch(`${base}/api/scores`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ playerName, score, mode, deviceId }),
+    body: JSON.stringify({
+      playerName, score, mode, difficulty, gridSize, deviceId, seed, day, log, checksum, playedAt,
+    }),
   });
-  if (res.status === 409) throw new Error('That name is taken — pick another one.');
-  if (!res.ok) throw new Error('Failed to store score');
+  if (res.status === 409) throw httpError('That name is taken — pick another one.', 409);
+  if (res.status === 422) throw httpError('Run could not be verified — score not submitted.', 422);
+  if (!res.ok) throw httpError('Failed to store score', res.status);
   return res.json();
 }
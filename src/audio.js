@@ -0,0 +1,93 @@
+// ─── Audio graph ────────────────────────────────────────────────────────────
+// One AudioContext for the whole app, with a gain bus per kind of sound:
+//
+//   music  ─┐
+//   melody ─┼─► master gain ─► limiter ─► speakers
+//   effects ┘
+//
+// The mixer sliders set the bus gains; the sound toggle mutes the master.
+// The limiter catches stacked melody notes and tones before they clip.
+
+export const MIXER_KEY = 'arcade_arena_mixer';  // { master, music, melody, effects } 0–100
+
+export const MIXER_CHANNELS = [
+  { id: 'master',  label: 'Master' },
+  { id: 'music',   label: 'Music' },
+  { id: 'melody',  label: 'Tap melody' },
+  { id: 'effects', label: 'Effects' },
+];
+
+export const DEFAULT_MIXER = { master: 100, music: 100, melody: 100, effects: 100 };
+
+export const readMixer = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MIXER_KEY) || 'null');
+    if (stored && typeof stored === 'object') return { ...DEFAULT_MIXER, ...stored };
+  } catch { /* fall through */ }
+  return { ...DEFAULT_MIXER };
+};
+
+export const saveMixer = (levels) => {
+  try { localStorage.setItem(MIXER_KEY, JSON.stringify(levels)); } catch { /* noop */ }
+};
+
+// Sliders are linear 0–100; loudness isn't, so square it for an even feel
+const sliderGain = (value) => (Math.min(100, Math.max(0, value)) / 100) ** 2;
+
+let ctx    = null;
+let buses  = null;
+let levels = readMixer();
+let muted  = false;
+
+const applyGains = () => {
+  if (!buses) return;
+  const now = ctx.currentTime;
+  // Short ramps so dragging a slider doesn't zipper
+  const set = (node, value) => node.gain.setTargetAtTime(value, now, 0.015);
+  set(buses.master,  muted ? 0 : sliderGain(levels.master));
+  set(buses.music,   sliderGain(levels.music));
+  set(buses.melody,  sliderGain(levels.melody));
+  set(buses.effects, sliderGain(levels.effects));
+};
+
+const buildGraph = (context) => {
+  const limiter = context.createDynamicsCompressor();
+  limiter.threshold.value = -3;
+  limiter.knee.value      = 0;
+  limiter.ratio.value     = 20;
+  limiter.attack.value    = 0.002;
+  limiter.release.value   = 0.12;
+  limiter.connect(context.destination);
+
+  const master = context.createGain();
+  master.connect(limiter);
+  const bus = () => { const g = context.createGain(); g.connect(master); return g; };
+  return { master, music: bus(), melody: bus(), effects: bus(), limiter };
+};
+
+// Created lazily on the first sound — browsers only allow audio after a gesture
+export const getAudioCtx = () => {
+  if (typeof window === 'undefined') return null;
+  if (!ctx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    ctx = new Ctx();
+    buses = buildGraph(ctx);
+    applyGains();
+  }
+  ctx.resume?.();
+  return ctx;
+};
+
+// The input node for a bus ('music' | 'melody' | 'effects'), or null without Web Audio
+export const busInput = (name) => (getAudioCtx() ? buses[name] : null);
+
+export const setMixerLevels = (next) => {
+  levels = { ...DEFAULT_MIXER, ...next };
+  applyGains();
+};
+
+export const setMuted = (value) => {
+  muted = !!value;
+  applyGains();
+};
@@ -0,0 +1,286 @@
+// ─── Backup: export / import ────────────────────────────────────────────────
+// Everything the app keeps in localStorage, as one versioned JSON file:
+//
+//   { format, version, exportedAt,
+//     profile: { playerName, deviceId },
+//     stats:   { personalBests, daily, streak, history, runs, ghosts },
+//     prefs:   { [localStorageKey]: rawString } }
+//
+// Import never blindly overwrites. `planImport` merges the file with what's
+// already here (best PBs win, history days are unioned, runs are deduped by
+// timestamp) and returns a preview; `applyImport` writes the merged result.
+// User audio tracks live in IndexedDB and are not part of a backup.
+
+import {
+  DAILY_KEY, DEVICE_KEY, GHOST_KEY, HISTORY_KEY, NAME_KEY, PB_KEY, RUNS_KEY, STREAK_KEY,
+  putHistory, putRuns, readHistory, readJson, readPersonalBests, readRuns,
+} from './storage.js';
+import { QUEUE_KEY } from './scoreQueue.js';
+
+export const BACKUP_FORMAT  = 'arcade-arena-backup';
+export const BACKUP_VERSION = 1;
+
+const KEY_PREFIX = 'arcade_arena_';
+
+// Keys with their own section (or, for the queue, tied to a pending session).
+// The legacy run/history keys only exist until they move to IndexedDB.
+const NOT_PREFS = new Set([
+  PB_KEY, DAILY_KEY, STREAK_KEY, HISTORY_KEY, RUNS_KEY, GHOST_KEY, DEVICE_KEY, NAME_KEY, QUEUE_KEY,
+]);
+
+const readPrefs = () => {
+  const prefs = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(KEY_PREFIX) && !NOT_PREFS.has(key)) prefs[key] = localStorage.getItem(key);
+  }
+  return prefs;
+};
+
+const readStats = async () => ({
+  personalBests: readPersonalBests(),
+  daily:         readJson(DAILY_KEY, null),
+  streak:        readJson(STREAK_KEY, null),
+  history:       await readHistory(),
+  runs:          await readRuns(),
+  ghosts:        readJson(GHOST_KEY, {}),
+});
+
+export const collectBackup = async () => ({
+  format:     BACKUP_FORMAT,
+  version:    BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  profile:    {
+    playerName: localStorage.getItem(NAME_KEY) || '',
+    deviceId:   localStorage.getItem(DEVICE_KEY) || '',
+  },
+  stats:      await readStats(),
+  prefs:      readPrefs(),
+});
+
+// ─── validation ─────────────────────────────────────────────────────────────
+
+const isObject  = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isScore   = (v) => Number.isFinite(v) && v >= 0;
+const isCount   = (v) => Number.isInteger(v) && v >= 0;
+const DATE_RE   = /^\d{4}-\d{2}-\d{2}$/;
+
+// Absent and null are fine; anything else has to pass `test`
+const optional = (test) => (v) => v == null || test(v);
+
+// Per-run numbers the stats pages do arithmetic on
+const RUN_NUMBERS = ['seed', 'gridSize', 'hits', 'misses', 'accuracy', 'fastestHit', 'avgReaction', 'maxStreak'];
+
+// A replay event: { t, type, cell?, ... } with no NaN / Infinity anywhere
+const isEvent = (ev) => isObject(ev) && Number.isFinite(ev.t) && typeof ev.type === 'string'
+  && optional(isCount)(ev.cell) && Object.values(ev).every((v) => typeof v !== 'number' || Number.isFinite(v));
+const isLog = (log) => Array.isArray(log) && log.every(isEvent);
+
+// See replay.js: [hits, misses, stray, reactionTotal] per tile, [t, rt] per hit
+const isTiles     = (tiles) => Array.isArray(tiles)
+  && tiles.every((tile) => Array.isArray(tile) && tile.length === 4 && tile.every(isScore));
+const isReactions = (reactions) => Array.isArray(reactions)
+  && reactions.every((pair) => Array.isArray(pair) && pair.length === 2 && pair.every(Number.isFinite));
+
+const isRun = (run) => isObject(run) && Number.isFinite(run.timestamp) && isScore(run.score)
+  && RUN_NUMBERS.every((k) => optional(Number.isFinite)(run[k]))
+  && optional(isLog)(run.log) && optional(isTiles)(run.tiles) && optional(isReactions)(run.reactions);
+
+// Returns a list of problems; empty means the file can be imported
+export const validateBackup = (data) => {
+  const errors = [];
+  const check = (ok, message) => { if (!ok) errors.push(message); };
+
+  if (!isObject(data) || data.format !== BACKUP_FORMAT) return ['Not an Arcade Arena backup file.'];
+  if (!Number.isInteger(data.version) || data.version < 1) return ['Backup has no valid version.'];
+  if (data.version > BACKUP_VERSION) return [`Backup is from a newer version (v${data.version}) — update the app first.`];
+
+  const { profile = {}, stats = {}, prefs = {} } = data;
+  check(isObject(profile), 'profile must be an object.');
+  check(typeof (profile.playerName ?? '') === 'string', 'profile.playerName must be a string.');
+  check(typeof (profile.deviceId ?? '') === 'string', 'profile.deviceId must be a string.');
+  check(isObject(stats), 'stats must be an object.');
+  check(isObject(prefs) && Object.entries(prefs).every(([k, v]) => k.startsWith(KEY_PREFIX) && typeof v === 'string'),
+    'prefs must map arcade_arena_ keys to strings.');
+  if (!isObject(stats)) return errors;
+
+  const { personalBests = {}, daily = null, streak = null, history = {}, runs = [], ghosts = {} } = stats;
+  check(isObject(personalBests) && Object.values(personalBests).every(isScore),
+    'stats.personalBests must map keys to scores.');
+  check(daily === null || (isObject(daily) && DATE_RE.test(daily.date) && isObject(daily.scores)
+    && Object.values(daily.scores).every(isScore)), 'stats.daily is malformed.');
+  check(streak === null || (isObject(streak) && DATE_RE.test(streak.lastDate) && Number.isInteger(streak.count)),
+    'stats.streak is malformed.');
+  check(isObject(history) && Object.entries(history).every(([day, entry]) => DATE_RE.test(day)
+    && isObject(entry) && isScore(entry.score) && isCount(entry.games)
+    && optional((by) => isObject(by) && Object.values(by).every((d) => isObject(d) && isScore(d.score) && isCount(d.games)))(entry.byDifficulty)),
+    'stats.history is malformed.');
+  check(Array.isArray(runs), 'stats.runs must be a list of runs.');
+  if (Array.isArray(runs)) {
+    const bad = runs.findIndex((r) => !isRun(r));
+    check(bad < 0, `stats.runs[${bad}] is malformed (timestamp, score, numbers, log, tiles or reactions).`);
+  }
+  check(isObject(ghosts) && Object.values(ghosts).every((g) => isObject(g) && isScore(g.score) && isLog(g.log)),
+    'stats.ghosts is malformed.');
+  return errors;
+};
+
+// Reads a File/Blob → { backup } or { errors }
+export const parseBackupFile = async (file) => {
+  let data;
+  try { data = JSON.parse(await file.text()); } catch { return { errors: ['File is not valid JSON.'] }; }
+  const errors = validateBackup(data);
+  return errors.length ? { errors } : { backup: data };
+};
+
+// ─── merging ────────────────────────────────────────────────────────────────
+
+const maxByKey = (a = {}, b = {}) => {
+  const out = { ...a };
+  Object.entries(b).forEach(([k, v]) => { out[k] = Math.max(out[k] || 0, v); });
+  return out;
+};
+
+const mergeDay = (a, b) => {
+  const byDifficulty = { ...a.byDifficulty };
+  Object.entries(b.byDifficulty ?? {}).forEach(([k, v]) => {
+    const prev = byDifficulty[k] || { score: 0, games: 0 };
+    byDifficulty[k] = { score: Math.max(prev.score, v.score), games: Math.max(prev.games, v.games) };
+  });
+  // The same day on both sides is usually the same games seen twice, so take
+  // the larger count rather than the sum
+  return { score: Math.max(a.score, b.score), games: Math.max(a.games, b.games), byDifficulty };
+};
+
+const mergeDaily = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.date !== b.date) return a.date > b.date ? a : b;
+  return { date: a.date, scores: maxByKey(a.scores, b.scores) };
+};
+
+const mergeStreak = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.lastDate !== b.lastDate) return a.lastDate > b.lastDate ? a : b;
+  return { lastDate: a.lastDate, count: Math.max(a.count, b.count) };
+};
+
+const mergeGhosts = (a, b) => {
+  const out = { ...a };
+  Object.entries(b).forEach(([k, g]) => { if (!out[k] || g.score > out[k].score) out[k] = g; });
+  return out;
+};
+
+// Current data + backup → { merged, preview }. `preview` counts what would
+// change so the player can confirm before anything is written.
+export const planImport = async (backup) => {
+  const current  = await readStats();
+  const incoming = { personalBests: {}, daily: null, streak: null, history: {}, runs: [], ghosts: {}, ...backup.stats };
+
+  const personalBests = maxByKey(current.personalBests, incoming.personalBests);
+  const pbChanges = Object.keys(incoming.personalBests)
+    .filter((k) => incoming.personalBests[k] > (current.personalBests[k] || 0))
+    .map((k) => ({ key: k, from: current.personalBests[k] || 0, to: incoming.personalBests[k] }));
+
+  // Only new and changed days are written back
+  const history = {};
+  let daysAdded = 0, daysMerged = 0;
+  Object.entries(incoming.history).forEach(([day, entry]) => {
+    if (current.history[day]) { history[day] = mergeDay(current.history[day], entry); daysMerged++; } else { history[day] = entry; daysAdded++; }
+  });
+
+  const seen = new Set(current.runs.map((r) => r.timestamp));
+  const newRuns = incoming.runs.filter((r) => !seen.has(r.timestamp));
+
+  const profile = backup.profile ?? {};
+  const prefs   = backup.prefs ?? {};
+
+  return {
+    merged: {
+      profile,
+      prefs,
+      stats: {
+        personalBests,
+        daily:   mergeDaily(current.daily, incoming.daily),
+        streak:  mergeStreak(current.streak, incoming.streak),
+        history,
+        runs:    newRuns,
+        ghosts:  mergeGhosts(current.ghosts, incoming.ghosts),
+      },
+    },
+    preview: {
+      exportedAt:    backup.exportedAt ?? null,
+      pbChanges,
+      daysAdded,
+      daysMerged,
+      runsAdded:     newRuns.length,
+      runsDuplicate: incoming.runs.length - newRuns.length,
+      prefsCount:    Object.keys(prefs).length,
+      playerName:    { current: localStorage.getItem(NAME_KEY) || '', incoming: profile.playerName || '' },
+      deviceId:      { current: localStorage.getItem(DEVICE_KEY) || '', incoming: profile.deviceId || '' },
+    },
+  };
+};
+
+// Writes a plan's merged data. `useProfile` adopts the backup's player name
+// and device id (moving to a new device); `usePrefs` restores its settings.
+export const applyImport = async ({ merged }, { useProfile = false, usePrefs = false } = {}) => {
+  const { stats, profile, prefs } = merged;
+  await putRuns(stats.runs);
+  await putHistory(stats.history);
+  localStorage.setItem(PB_KEY, JSON.stringify(stats.personalBests));
+  if (stats.daily)  localStorage.setItem(DAILY_KEY, JSON.stringify(stats.daily));
+  if (stats.streak) localStorage.setItem(STREAK_KEY, JSON.stringify(stats.streak));
+  localStorage.setItem(GHOST_KEY, JSON.stringify(stats.ghosts));
+  if (useProfile) {
+    if (profile.playerName) localStorage.setItem(NAME_KEY, profile.playerName);
+    if (profile.deviceId)   localStorage.setItem(DEVICE_KEY, profile.deviceId);
+  }
+  if (usePrefs) Object.entries(prefs).forEach(([key, value]) => localStorage.setItem(key, value));
+};
+
+// ─── CSV ────────────────────────────────────────────────────────────────────
+
+const RUN_COLUMNS = [
+  ['playedAt',    (r) => new Date(r.timestamp).toISOString()],
+  ['date',        (r) => r.date],
+  ['mode',        (r) => r.mode ?? 'solo'],
+  ['difficulty',  (r) => r.difficulty],
+  ['gridSize',    (r) => r.gridSize ?? r.grid?.cols],
+  ['score',       (r) => r.score],
+  ['hits',        (r) => r.hits],
+  ['misses',      (r) => r.misses],
+  ['accuracy',    (r) => r.accuracy],
+  ['fastestHit',  (r) => r.fastestHit],
+  ['avgReaction', (r) => r.avgReaction],
+  ['maxStreak',   (r) => r.maxStreak],
+  ['seed',        (r) => r.seed],
+  ['ranked',      (r) => (r.unranked ? 'no' : 'yes')],
+];
+
+// RFC 4180 quoting; a leading = + - @ is prefixed so spreadsheets don't run it as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const runsToCsv = (runs) => [
+  RUN_COLUMNS.map(([name]) => name).join(','),
+  ...runs.map((run) => RUN_COLUMNS.map(([, get]) => csvCell(get(run))).join(',')),
+].join('\r\n');
+
+// ─── download ───────────────────────────────────────────────────────────────
+
+export const downloadFile = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
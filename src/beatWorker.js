@@ -0,0 +1,21 @@
+// ─── Beat analysis worker ───────────────────────────────────────────────────
+// Runs analyseBeats off the main thread so the game keeps its frame rate.
+// In: { sampleRate, channels: Float32Array[] }. Out: { progress } messages,
+// then { beat } (null when there's no steady beat) or { error }.
+
+import { analyseBeats } from './beats.js';
+
+self.onmessage = ({ data: { sampleRate, channels } }) => {
+  // Just enough of the AudioBuffer interface for analyseBeats
+  const buffer = {
+    sampleRate,
+    length:           channels[0]?.length ?? 0,
+    numberOfChannels: channels.length,
+    getChannelData:   (c) => channels[c],
+  };
+  try {
+    self.postMessage({ beat: analyseBeats(buffer, (progress) => self.postMessage({ progress })) });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
@@ -0,0 +1,168 @@
+// ─── Beat detection ─────────────────────────────────────────────────────────
+// Finds a track's tempo and first-beat offset from its decoded audio, for
+// tracks that don't ship { bpm, offset } metadata. Runs once per track; the
+// result is cached (bundled tracks in localStorage, user tracks in IndexedDB).
+//
+// Method: an energy-flux onset envelope at 5 ms resolution, autocorrelated
+// over 70–180 BPM for the rough period, then a fine comb search over period
+// and phase so the grid still lines up a minute into the song.
+//
+// The analysis is a few hundred ms of tight loops, so it runs in a worker
+// (beatWorker.js) and App holds it back while a run is in progress.
+
+export const BEATS_KEY = 'arcade_arena_beats';  // { [bundledTrackId]: { bpm, offset } }
+
+const HOP_S       = 0.005;
+const ANALYSE_S   = 90;    // the first minute and a half is plenty for a steady tempo
+const MIN_BPM     = 70;
+const MAX_BPM     = 180;
+const PREFERRED   = 120;   // ties between half/double tempo break towards here
+
+export const readBeatCache = () => {
+  try { return JSON.parse(localStorage.getItem(BEATS_KEY) || '{}') || {}; } catch { return {}; }
+};
+
+export const saveBeatCache = (id, beat) => {
+  try { localStorage.setItem(BEATS_KEY, JSON.stringify({ ...readBeatCache(), [id]: beat })); } catch { /* noop */ }
+};
+
+// Half-wave rectified frame-to-frame energy rise
+const onsetEnvelope = (buffer) => {
+  const hop    = Math.max(1, Math.round(buffer.sampleRate * HOP_S));
+  const length = Math.min(buffer.length, Math.round(buffer.sampleRate * ANALYSE_S));
+  const frames = Math.floor(length / hop);
+  const channels = [...Array(buffer.numberOfChannels)].map((_, c) => buffer.getChannelData(c));
+  const energy = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let i = f * hop; i < (f + 1) * hop; i++) {
+      let sample = 0;
+      for (const data of channels) sample += data[i];
+      sum += sample * sample;
+    }
+    energy[f] = Math.sqrt(sum / hop);
+  }
+  const onset = new Float32Array(frames);
+  for (let f = 1; f < frames; f++) onset[f] = Math.max(0, energy[f] - energy[f - 1]);
+  return { onset, frameS: hop / buffer.sampleRate };  // whole samples, so not exactly HOP_S
+};
+
+// Sum of the envelope on a comb of `period` frames starting at `phase`
+const combScore = (onset, period, phase) => {
+  let sum = 0;
+  for (let x = phase; x < onset.length; x += period) sum += onset[Math.round(x)] ?? 0;
+  return sum;
+};
+
+// `buffer` is an AudioBuffer or anything shaped like one (see beatWorker.js);
+// `onProgress(fraction)` is called as the stages complete
+export const analyseBeats = (buffer, onProgress = () => {}) => {
+  const { onset, frameS } = onsetEnvelope(buffer);
+  onProgress(0.3);
+  const minLag = Math.floor(60 / MAX_BPM / frameS);
+  const maxLag = Math.ceil(60 / MIN_BPM / frameS);
+  if (onset.length < maxLag * 4) return null;
+
+  let best = { lag: 0, score: -Infinity };
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let f = lag; f < onset.length; f++) sum += onset[f] * onset[f - lag];
+    // Gentle log-tempo prior so a half- or double-time peak doesn't win by a hair
+    const bpm = 60 / (lag * frameS);
+    const score = (sum / (onset.length - lag)) * Math.exp(-0.5 * Math.log2(bpm / PREFERRED) ** 2);
+    if (score > best.score) best = { lag, score };
+  }
+  if (best.lag === 0 || best.score <= 0) return null;
+  onProgress(0.5);
+
+  let fine = { period: best.lag, phase: 0, score: -Infinity };
+  for (let period = best.lag - 1, step = 0; period <= best.lag + 1; period += 0.02, step++) {
+    for (let phase = 0; phase < period; phase += 1) {
+      const score = combScore(onset, period, phase);
+      if (score > fine.score) fine = { period, phase, score };
+    }
+    if (step % 10 === 9) onProgress(0.5 + (step / 100) * 0.45);
+  }
+
+  // Snap each predicted beat to the strongest onset near it, then fit a
+  // straight line through the snapped times — removes the drift a small
+  // period error builds up over a minute of beats
+  const reach = Math.round(fine.period * 0.15);
+  let n = 0, sw = 0, sk = 0, st = 0, skk = 0, skt = 0;
+  for (let k = 0; fine.phase + k * fine.period < onset.length; k++) {
+    const centre = Math.round(fine.phase + k * fine.period);
+    let peak = centre;
+    for (let f = Math.max(0, centre - reach); f <= Math.min(onset.length - 1, centre + reach); f++) {
+      if (onset[f] > onset[peak]) peak = f;
+    }
+    const w = onset[peak] ?? 0;
+    if (w <= 0) continue;
+    n++; sw += w; sk += w * k; st += w * peak; skk += w * k * k; skt += w * k * peak;
+  }
+  const denominator = sw * skk - sk * sk;
+  const period = n > 8 && denominator > 0 ? (sw * skt - sk * st) / denominator : fine.period;
+  const phase  = n > 8 && denominator > 0 ? (st - period * sk) / sw : fine.phase;
+
+  return {
+    bpm:    Math.round((60 / (period * frameS)) * 100) / 100,
+    offset: Math.max(0, Math.round(phase * frameS * 1000)),
+  };
+};
+
+// Reads a response body, reporting the share of Content-Length received
+const readBody = async (res, onProgress) => {
+  const total = Number(res.headers.get('Content-Length')) || 0;
+  if (!total || !res.body) return res.arrayBuffer();
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    onProgress(Math.min(1, received / total));
+  }
+  const bytes = new Uint8Array(received);
+  let at = 0;
+  chunks.forEach((chunk) => { bytes.set(chunk, at); at += chunk.length; });
+  return bytes.buffer;
+};
+
+// Analysis in the worker, or inline where workers aren't available
+const analyseOffThread = (buffer, onProgress, signal) => {
+  const length   = Math.min(buffer.length, Math.round(buffer.sampleRate * ANALYSE_S));
+  const channels = [...Array(buffer.numberOfChannels)].map((_, c) => buffer.getChannelData(c).slice(0, length));
+  if (typeof Worker === 'undefined') return Promise.resolve(analyseBeats(buffer, onProgress));
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./beatWorker.js', import.meta.url), { type: 'module' });
+    const done = (fn, value) => { worker.terminate(); signal?.removeEventListener('abort', abort); fn(value); };
+    const abort = () => done(reject, new DOMException('Aborted', 'AbortError'));
+    signal?.addEventListener('abort', abort);
+    worker.onmessage = ({ data }) => {
+      if ('progress' in data) onProgress(data.progress);
+      else if (data.error) done(reject, new Error(data.error));
+      else done(resolve, data.beat);
+    };
+    worker.onerror = (e) => done(reject, new Error(e.message || 'Beat analysis failed'));
+    worker.postMessage({ sampleRate: buffer.sampleRate, channels }, channels.map((c) => c.buffer));
+  });
+};
+
+// Fetches and decodes `src` off the audio graph, then analyses it off the
+// main thread. `onProgress(fraction)` covers the whole job: download,
+// decode, analysis; aborting `signal` stops it wherever it is.
+export const detectBeat = async (src, { onProgress = () => {}, signal } = {}) => {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Offline) throw new Error('Web Audio unavailable');
+  const res = await fetch(src, { signal });
+  if (!res.ok) throw new Error(`Could not load track (${res.status})`);
+  const data = await readBody(res, (p) => onProgress(p * 0.3));
+  const decoder = new Offline(1, 1, 44100);
+  const buffer = await decoder.decodeAudioData(data);
+  signal?.throwIfAborted();
+  onProgress(0.4);
+  const beat = await analyseOffThread(buffer, (p) => onProgress(0.4 + p * 0.6), signal);
+  if (!beat) throw new Error('No steady beat found');
+  return beat;
+};
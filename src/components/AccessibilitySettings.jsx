@@ -0,0 +1,58 @@
+import React from 'react';
+import { MOTION_OPTIONS, PALETTES } from '../a11y';
+
+// ─── AccessibilitySettings — palette, hazard markers, motion, announcements ──
+
+function AccessibilitySettings({ settings, onChange }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="a11y-settings">
+      <label className="a11y-settings__row">
+        <span>Colours</span>
+        <select
+          className="select"
+          value={settings.palette}
+          onChange={(e) => set('palette', e.target.value)}
+        >
+          {PALETTES.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </label>
+
+      <div className="a11y-settings__row">
+        <span>Hazard markers</span>
+        <div className="segmented">
+          <button className={!settings.hazardMarkers ? 'active' : ''} onClick={() => set('hazardMarkers', false)}>Off</button>
+          <button className={settings.hazardMarkers ? 'active' : ''} onClick={() => set('hazardMarkers', true)}>On</button>
+        </div>
+      </div>
+
+      <div className="a11y-settings__row">
+        <span>Motion</span>
+        <div className="segmented">
+          {MOTION_OPTIONS.map((m) => (
+            <button key={m.id} className={settings.motion === m.id ? 'active' : ''} onClick={() => set('motion', m.id)}>
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="a11y-settings__row">
+        <span>Screen reader updates</span>
+        <div className="segmented">
+          <button className={!settings.announce ? 'active' : ''} onClick={() => set('announce', false)}>Off</button>
+          <button className={settings.announce ? 'active' : ''} onClick={() => set('announce', true)}>On</button>
+        </div>
+      </div>
+
+      <div className="a11y-settings__preview" aria-hidden="true">
+        <span className="cell cell--active" />
+        <span className="cell cell--hazard" />
+        <span className="muted small-hint">Target · Hazard</span>
+      </div>
+    </div>
+  );
+}
+
+export default AccessibilitySettings;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { DEFAULT_MIXER, MIXER_CHANNELS } from '../audio';
+
+// ─── AudioMixer — one volume slider per bus ─────────────────────────────────
+
+function AudioMixer({ levels, onChange }) {
+  const set = (id, value) => onChange({ ...levels, [id]: value });
+
+  return (
+    <div className="audio-mixer">
+      {MIXER_CHANNELS.map(({ id, label }) => (
+        <label key={id} className="audio-mixer__row">
+          <span>{label}</span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="1"
+            value={levels[id]}
+            onChange={(e) => set(id, Number(e.target.value))}
+          />
+          <span className="audio-mixer__value">{levels[id]}</span>
+        </label>
+      ))}
+      <div className="audio-mixer__footer">
+        <span className="muted small-hint">The sound toggle mutes everything.</span>
+        <button type="button" className="mini-btn ghost" onClick={() => onChange({ ...DEFAULT_MIXER })}>
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AudioMixer;
@@ -0,0 +1,119 @@
+import React, { useRef, useState } from 'react';
+import {
+  applyImport, collectBackup, downloadFile, parseBackupFile, planImport, runsToCsv,
+} from '../backup';
+import { readRuns, todayStr } from '../storage';
+
+// ─── BackupPanel — export to JSON / CSV, import with a preview ──────────────
+
+// `sprint:hard@5` → `sprint:hard 5×5` (see recordKey)
+const slotLabel = (key) => key.replace(/@(\d+)$/, ' $1×$1');
+
+function BackupPanel() {
+  const fileRef = useRef(null);
+  const [errors, setErrors]         = useState([]);
+  const [plan, setPlan]             = useState(null);   // planImport() result awaiting confirmation
+  const [useProfile, setUseProfile] = useState(false);
+  const [usePrefs, setUsePrefs]     = useState(true);
+  const [busy, setBusy]             = useState(false);
+
+  // Export / import touch IndexedDB; one at a time
+  const run = (task) => async (...args) => {
+    if (busy) return;
+    setBusy(true);
+    try { await task(...args); } catch (err) { setErrors([err.message || 'Something went wrong.']); }
+    setBusy(false);
+  };
+
+  const exportJson = run(async () => downloadFile(
+    `arcade-arena-backup-${todayStr()}.json`, JSON.stringify(await collectBackup(), null, 2), 'application/json'));
+  const exportCsv = run(async () => downloadFile(
+    `arcade-arena-runs-${todayStr()}.csv`, runsToCsv(await readRuns()), 'text/csv'));
+
+  const onFile = run(async (file) => {
+    setErrors([]); setPlan(null);
+    const { backup, errors: problems } = await parseBackupFile(file);
+    if (problems) { setErrors(problems); return; }
+    const next = await planImport(backup);
+    // A fresh install has no name yet — default to restoring the backup's identity
+    setUseProfile(!next.preview.playerName.current && !!next.preview.playerName.incoming);
+    setPlan(next);
+  });
+
+  const confirm = run(async () => {
+    await applyImport(plan, { useProfile, usePrefs });
+    // Every screen reads storage on load; a reload is the simplest full refresh
+    window.location.reload();
+  });
+
+  const p = plan?.preview;
+  const profileDiffers = p && ((p.playerName.incoming && p.playerName.incoming !== p.playerName.current)
+    || (p.deviceId.incoming && p.deviceId.incoming !== p.deviceId.current));
+
+  return (
+    <div className="stats-chart-card backup-panel">
+      <p className="stats-section-label">Your data</p>
+      <p className="muted small-hint">
+        Stats live in this browser only. Export a backup to keep them safe or move them to another device.
+      </p>
+      <div className="backup-panel__actions">
+        <button type="button" className="mini-btn" onClick={exportJson}>Export backup (.json)</button>
+        <button type="button" className="mini-btn ghost" onClick={exportCsv}>Export runs (.csv)</button>
+        <button type="button" className="mini-btn ghost" onClick={() => fileRef.current?.click()}>Import backup…</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onFile(file);
+          }}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="backup-panel__errors">
+          {errors.map((err) => <li key={err}>{err}</li>)}
+        </ul>
+      )}
+
+      {p && (
+        <div className="backup-panel__preview">
+          <p className="backup-panel__title">
+            Import preview{p.exportedAt ? ` — backup from ${new Date(p.exportedAt).toLocaleString()}` : ''}
+          </p>
+          <ul>
+            <li>
+              {p.pbChanges.length === 0 ? 'No personal bests improve.' : (
+                <>Personal bests raised: {p.pbChanges.map((c) => `${slotLabel(c.key)} ${c.from} → ${c.to}`).join(', ')}</>
+              )}
+            </li>
+            <li>History: {p.daysAdded} new day{p.daysAdded === 1 ? '' : 's'}, {p.daysMerged} merged</li>
+            <li>Runs: {p.runsAdded} added, {p.runsDuplicate} already here</li>
+          </ul>
+          {profileDiffers && (
+            <label className="backup-panel__option">
+              <input type="checkbox" checked={useProfile} onChange={(e) => setUseProfile(e.target.checked)} />
+              Use the backup&apos;s identity — player “{p.playerName.incoming || p.playerName.current}”,
+              device {p.deviceId.incoming.slice(0, 8)}… (keeps your leaderboard entries yours)
+            </label>
+          )}
+          {p.prefsCount > 0 && (
+            <label className="backup-panel__option">
+              <input type="checkbox" checked={usePrefs} onChange={(e) => setUsePrefs(e.target.checked)} />
+              Restore settings ({p.prefsCount})
+            </label>
+          )}
+          <div className="backup-panel__actions">
+            <button type="button" className="mini-btn" onClick={confirm} disabled={busy}>Apply import</button>
+            <button type="button" className="mini-btn ghost" onClick={() => setPlan(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BackupPanel;
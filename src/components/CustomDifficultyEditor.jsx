@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DIFFICULTY } from '../engine';
+import {
+  DIFFICULTY_FIELDS, encodePreset, parsePresetInput, presetLink, validateSettings,
+} from '../presets';
+
+const toDraft = (settings) =>
+  Object.fromEntries(DIFFICULTY_FIELDS.map(({ key }) => [key, String(settings[key])]));
+
+// ─── CustomDifficultyEditor — tune every pacing/scoring field, share as a code
+
+function CustomDifficultyEditor({ settings, onChange }) {
+  const [draft, setDraft]       = useState(() => toDraft(settings));
+  const [errors, setErrors]     = useState({});
+  const [importText, setImportText] = useState('');
+  const [status, setStatus]     = useState('');
+  const emittedRef = useRef(settings);  // last settings this form produced itself
+
+  // Keep the form in sync when settings are replaced from outside (import,
+  // share link) — but not on our own edits, which would clobber "1." mid-typing
+  useEffect(() => {
+    if (settings === emittedRef.current) return;
+    emittedRef.current = settings;
+    setDraft(toDraft(settings));
+    setErrors({});
+  }, [settings]);
+
+  const flash = (msg) => {
+    setStatus(msg);
+    setTimeout(() => setStatus(''), 1800);
+  };
+
+  const handleField = (key, raw) => {
+    const nextDraft = { ...draft, [key]: raw };
+    setDraft(nextDraft);
+    const candidate = Object.fromEntries(
+      DIFFICULTY_FIELDS.map(({ key: k }) => [k, nextDraft[k] === '' ? NaN : Number(nextDraft[k])])
+    );
+    const nextErrors = validateSettings(candidate);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length === 0) {
+      emittedRef.current = candidate;
+      onChange(candidate);
+    }
+  };
+
+  const handleCopy = async (text, label) => {
+    try {
+      await navigator.clipboard?.writeText(text);
+      flash(`${label} copied`);
+    } catch {
+      flash('Copy failed');
+    }
+  };
+
+  const handleImport = () => {
+    const imported = parsePresetInput(importText);
+    if (!imported) { flash('Invalid preset code'); return; }
+    onChange(imported);
+    setImportText('');
+    flash('Preset imported');
+  };
+
+  const valid = Object.keys(errors).length === 0;
+
+  return (
+    <div className="custom-editor">
+      <div className="custom-editor__bases">
+        <span className="muted">Start from</span>
+        {Object.keys(DIFFICULTY).map((d) => (
+          <button key={d} type="button" className="mini-btn ghost" onClick={() => onChange({ ...DIFFICULTY[d] })}>
+            {d.charAt(0).toUpperCase() + d.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      <div className="custom-editor__grid">
+        {DIFFICULTY_FIELDS.map(({ key, label, min, max, step }) => (
+          <label key={key} className={`custom-field${errors[key] ? ' custom-field--error' : ''}`}>
+            <span>{label}</span>
+            <input
+              type="number"
+              inputMode="decimal"
+              min={min}
+              max={max}
+              step={step}
+              value={draft[key]}
+              onChange={(e) => handleField(key, e.target.value)}
+            />
+            {errors[key] && <small className="error">{errors[key]}</small>}
+          </label>
+        ))}
+      </div>
+
+      <div className="custom-editor__share">
+        <button type="button" className="mini-btn" disabled={!valid} onClick={() => handleCopy(encodePreset(settings), 'Code')}>
+          Copy code
+        </button>
+        <button type="button" className="mini-btn" disabled={!valid} onClick={() => handleCopy(presetLink(settings), 'Link')}>
+          Copy link
+        </button>
+        {status && <span className="copy-toast custom-editor__toast">{status}</span>}
+      </div>
+
+      <div className="custom-editor__import">
+        <input
+          value={importText}
+          onChange={(e) => setImportText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleImport()}
+          placeholder="Paste a preset code or link"
+        />
+        <button type="button" className="mini-btn ghost" onClick={handleImport} disabled={!importText.trim()}>
+          Import
+        </button>
+      </div>
+
+      <p className="muted small-hint">Custom runs are unranked — they stay in your history only.</p>
+    </div>
+  );
+}
+
+export default CustomDifficultyEditor;
@@ -1,12 +1,32 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { dailyKey, daySeed, randomSeed } from '../rng';
+import { frameAt, reactionsFromLog, scoreAt, tileStatsFromLog } from '../replay';
+import { DIFFICULTY, finish, hit, modeRules, pickCell, startGame, summarize, tick } from '../engine';
+import { busInput, getAudioCtx, setMuted } from '../audio';
+import { BUNDLED_TRACKS, describeKey, harmonyHz, melodyNotes, trackCaption } from '../music';
+import { MELODY_SETS } from '../melodies';
+import { playNote } from '../synth';
+import { CURSOR_MOVES, CURSOR_TAP, codeLabel, keyLayout, loadKeyLabels, moveCursor } from '../keymaps';
+import {
+  PAD_DIRECTIONS, REPEAT_DELAY_MS, REPEAT_RATE_MS, activePad, connectedPads, heldActions,
+} from '../gamepad';
 
 const FLASH_DURATION = 180;
-
-const getGrid = () => {
-  if (typeof window === 'undefined') return { cols: 5, rows: 5 };
-  return window.innerWidth <= 540 ? { cols: 4, rows: 4 } : { cols: 5, rows: 5 };
+const RESUME_COUNTDOWN = 3;   // seconds shown on the paused overlay before play resumes
+const TIME_WARNINGS    = [10, 5];   // seconds left that get a screen-reader warning
+const SCORE_ANNOUNCE_STEP = 250;    // announce the score each time it passes a multiple of this
+
+// Idle overlay copy per mode (Daily has its own tag and copy below)
+const MODE_INTRO = {
+  solo:     'Tap green tiles fast — each hit plays a melody note.',
+  sprint:   'Sixty seconds flat. Hits add no time and misses take none — just score.',
+  survival: 'No clock, three lives. Each miss or decoy costs one, and decoys multiply.',
+  zen:      'No timer, no pressure. Play as long as you like — nothing is submitted.',
+  rhythm:   'Tiles land on the beat. Tap on a beat for Perfect and Great bonuses on top of speed.',
 };
 
+const GRADE_LABELS = { perfect: 'Perfect', great: 'Great', early: 'Early', late: 'Late' };
+
 const COMBO_LABELS = {
   5: 'HOT',
   10: 'ON FIRE',
@@ -15,69 +35,38 @@ const COMBO_LABELS = {
   50: 'LEGENDARY',
 };
 
-// ─── Tap melody — C minor pentatonic, mirrors the key of "Lonely at the Top" ─
-// Notes advance sequentially on every correct hit, looping through the phrase.
-const TAP_MELODY = [
-  784, 698, 622, 523,  622, 698, 784, 784,
-  698, 622, 523, 466,  523, 622, 698, 784,
-  784, 784, 698, 622,  698, 784, 932, 784,
-  698, 622, 523, 466,  523, 622, 523, 392,
-  784, 698, 784, 932,  784, 698, 622, 698,
-  622, 523, 466, 392,  466, 523, 622, 523,
-];
-
-// ─── Difficulty presets ─────────────────────────────────────────────────────
-const DIFFICULTY = {
-  normal: {
-    startTime: 30, missPenalty: 4, hazardChance: 0,
-    timeRewardCap: 50, paceBase: 1900, paceFloor: 900,
-    paceScoreFactor: 4.5, paceStreakFactor: 9,
-    rewardBonus: 0.8, rewardFloor: 0.55, rewardSlope: 940, rewardStreakFactor: 0.012,
-    minGain: 1.1, wrongClickPenalty: 1.4,
-  },
-  hard: {
-    startTime: 25, missPenalty: 4.5, hazardChance: 0.08,
-    timeRewardCap: 40, paceBase: 1500, paceFloor: 700,
-    paceScoreFactor: 6.5, paceStreakFactor: 12,
-    rewardBonus: 0.65, rewardFloor: 0.38, rewardSlope: 900, rewardStreakFactor: 0.018,
-    minGain: 0.85, wrongClickPenalty: 1.6,
-  },
-  extreme: {
-    startTime: 20, missPenalty: 5, hazardChance: 0.14,
-    timeRewardCap: 34, paceBase: 1250, paceFloor: 550,
-    paceScoreFactor: 8.5, paceStreakFactor: 15,
-    rewardBonus: 0.55, rewardFloor: 0.32, rewardSlope: 860, rewardStreakFactor: 0.023,
-    minGain: 0.75, wrongClickPenalty: 1.9,
-  },
-};
-
-const pickCell = (previous, banned = [], count) => {
-  const disallow = new Set([previous, ...banned]);
-  let attempts = 0, next = previous;
-  while (disallow.has(next) && attempts < 40) { next = Math.floor(Math.random() * count); attempts++; }
-  return next;
-};
-
-const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
-
 // ─── Component ──────────────────────────────────────────────────────────────
 
-function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personalBest = 0 }) {
-  const [grid, setGrid]           = useState(getGrid);
+function GameBoard({
+  playerName, mode, difficulty = 'normal', customSettings = null, gridSize = 5,
+  onFinish, personalBest = 0, ghost = null, keyboardPlay = false,
+  gamepadBindings = null,  // null disables controller input (e.g. while remapping)
+  announce = true,         // ARIA live-region updates
+  track = BUNDLED_TRACKS[0],  // background audio + melody key (see music.js)
+  beatStatus = 'ready',       // Rhythm: 'detecting' | 'failed' while the track has no beat grid
+  beatProgress = null,        // Rhythm: 0–1 while detecting
+  onRunChange,                // (live) — a run started (true) or ended (false)
+  melodySet = MELODY_SETS[0], // tap phrase + timbre (see melodies.js)
+  harmony = false,            // chord on streak milestones
+}) {
+  const grid                      = useMemo(() => ({ cols: gridSize, rows: gridSize }), [gridSize]);
   const cellCount                 = grid.cols * grid.rows;
   const [status, setStatus]       = useState('idle');
-  const [timeLeft, setTimeLeft]   = useState(() => DIFFICULTY[difficulty]?.startTime ?? 30);
-  const [score, setScore]         = useState(0);
-  const [streak, setStreak]       = useState(0);
-  const [misses, setMisses]       = useState(0);
-  const [hits, setHits]           = useState(0);
-  const [activeCell, setActiveCell] = useState(() => pickCell(-1, [], cellCount));
-  const [hazardCell, setHazardCell] = useState(null);
+  // Engine state for the current run (null before the first start); the
+  // engine owns every rule, the component only renders and plays effects
+  const [game, setGame]           = useState(null);
+  const [idleCell, setIdleCell]   = useState(() => pickCell(-1, [], cellCount));  // idle decoration only
   const [flashMap, setFlashMap]   = useState({});
-  const [fastestHit, setFastestHit] = useState(null);
-  const [totalReactionMs, setTotalReactionMs] = useState(0);
   const [pops, setPops]           = useState([]);
   const [comboMsg, setComboMsg]   = useState('');
+  const [ghostScore, setGhostScore] = useState(null); // null when not racing a ghost
+  const [ghostCell, setGhostCell]   = useState(null);
+  const [resumeIn, setResumeIn]     = useState(null); // 3-2-1 while resuming, else null
+  const [autoPaused, setAutoPaused] = useState(false); // paused by a tab switch / focus loss
+  const [cursor, setCursor]         = useState(() => Math.floor(cellCount / 2)); // keyboard cursor (5x5 and up)
+  const [keyLabel, setKeyLabel]     = useState(() => codeLabel);
+  const [padConnected, setPadConnected] = useState(() => connectedPads().length > 0);
+  const [announcement, setAnnouncement] = useState('');
 
   // Sound toggle — persisted to localStorage
   const [soundOn, setSoundOn] = useState(
@@ -86,55 +75,70 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
   const soundRef = useRef(soundOn);
 
   // ── Refs ─────────────────────────────────────────────────────────────────
-  const spawnTimeRef     = useRef(performance.now());
+  const gameRef          = useRef(null);   // synchronous mirror of `game` for event handlers
   const finishedRef      = useRef(false);
-  const scoreRef         = useRef(0);
-  const timeLeftRef      = useRef(DIFFICULTY[difficulty]?.startTime ?? 30);
   const flashTimeoutsRef = useRef({});
-  const audioCtxRef      = useRef(null);
   const popIdRef         = useRef(0);
   const comboTimerRef    = useRef(null);
   const statusRef        = useRef('idle');
-  const songPosRef       = useRef(0);      // position in TAP_MELODY sequence
-  const songRef          = useRef(null);   // HTMLAudioElement for background track
-  const songGainRef      = useRef(null);   // GainNode — controls background volume
-  // Stat refs — synchronous counterparts for state; read by endRun
-  const hitsRef          = useRef(0);
-  const missesRef        = useRef(0);
-  const fastestHitRef    = useRef(null);
-  const totalReactionRef = useRef(0);
-  const maxStreakRef     = useRef(0);
-
-  const settings         = useMemo(() => DIFFICULTY[difficulty] ?? DIFFICULTY.normal, [difficulty]);
-  const difficultyWindow = useMemo(
-    () => Math.max(settings.paceFloor, settings.paceBase - score * settings.paceScoreFactor - streak * settings.paceStreakFactor),
-    [score, streak, settings]
+  const songPosRef       = useRef(0);      // position in the tap melody
+  const songRef          = useRef(null);   // HTMLAudioElement for background track, reused across tracks
+  const songNodesRef     = useRef(null);   // { source, gain } routing it into the music bus, built once
+  const trackSrcRef      = useRef(track.src);
+  const tapMelodyRef     = useRef(null);   // { notes (Hz per hit), phrase, key, timbre }
+  const harmonyRef       = useRef(harmony);
+  // Replay log — timestamps are ms of active play since the run started
+  const logRef           = useRef([]);
+  const runStartRef      = useRef(0);
+  const pausedAtRef      = useRef(null);
+  const pausedMsRef      = useRef(0);
+  const ghostRef         = useRef(null);   // PB run being raced this run, if any
+  const dayRef           = useRef(null);   // Daily: the day whose seed this run plays
+  const timebarRef       = useRef(null);   // written every frame, outside React renders
+  const padActionRef     = useRef(null);   // latest controller handler, read by the poll loop
+  const announceRef      = useRef(announce);
+  const announcedScoreRef = useRef(0);     // last score step read out
+  const beatDotRef       = useRef(null);   // Rhythm beat indicator, pulsed from the frame loop
+  const lastBeatRef      = useRef(-1);     // index of the last beat pulsed
+
+  // A set without its own key follows the track's
+  const melodyKey        = melodySet.key ?? track.melody;
+  const tapMelody        = useMemo(
+    () => ({ notes: melodyNotes(melodyKey, melodySet.phrase), phrase: melodySet.phrase, key: melodyKey, timbre: melodySet.timbre }),
+    [melodySet, melodyKey.tonic, melodyKey.scale] // eslint-disable-line
+  );
+  tapMelodyRef.current   = tapMelody;  // read from the frame loop's closures
+  harmonyRef.current     = harmony;
+  const rules            = modeRules(mode);
+  const keys             = useMemo(() => keyLayout(gridSize), [gridSize]);
+  const isCustom         = difficulty === 'custom' && !!customSettings;
+  const ranked           = rules.ranked && !isCustom;
+  const beatReady        = !rules.beats || !!track.beat;
+  const settings         = useMemo(
+    () => (isCustom ? customSettings : DIFFICULTY[difficulty] ?? DIFFICULTY.normal),
+    [isCustom, customSettings, difficulty]
   );
+  // A ghost is only comparable tile-for-tile on the grid it was recorded on
+  const ghostRun = ghost && mode === 'solo'
+    && ghost.grid?.cols === grid.cols && ghost.grid?.rows === grid.rows ? ghost : null;
 
   // ── Audio helpers ─────────────────────────────────────────────────────────
-
-  const getAudioCtx = () => {
-    if (typeof window === 'undefined') return null;
-    const Ctx = window.AudioContext || (window).webkitAudioContext;
-    if (!Ctx) return null;
-    const ctx = audioCtxRef.current || new Ctx();
-    audioCtxRef.current = ctx;
-    ctx.resume?.();
-    return ctx;
-  };
+  // Every sound feeds a mixer bus (see audio.js); volumes below are per-sound
+  // levels inside that bus
 
   // UI beeps (start, pause, miss, wrong-click, combos)
   const playTone = (freq, durationMs = 90, volume = 0.12) => {
     if (!soundRef.current) return;
     const ctx = getAudioCtx();
-    if (!ctx) return;
+    const bus = busInput('effects');
+    if (!ctx || !bus) return;
     const now = ctx.currentTime;
     const osc  = ctx.createOscillator();
     const gain = ctx.createGain();
     osc.type = 'sine';
     osc.frequency.value = freq;
     gain.gain.value = volume;
-    osc.connect(gain).connect(ctx.destination);
+    osc.connect(gain).connect(bus);
     osc.start(now);
     gain.gain.exponentialRampToValueAtTime(0.0001, now + durationMs / 1000);
     osc.stop(now + durationMs / 1000);
@@ -142,28 +146,44 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
 
   // ── Background song helpers ───────────────────────────────────────────────
 
+  // One element and one MediaElementSource for the whole session: a track
+  // change only swaps the element's src, so no audio nodes pile up
   const setupSong = () => {
-    if (songRef.current) return;
-    const audio = new Audio('/Asake-Lonely-At-The-Top.mp3');
-    audio.loop    = true;
-    audio.preload = 'auto';
-    songRef.current = audio;
+    if (!trackSrcRef.current) return;
+    if (!songRef.current) {
+      const audio = new Audio();
+      audio.loop    = true;
+      audio.preload = 'auto';
+      songRef.current = audio;
+    }
+    const audio = songRef.current;
+    if (audio.getAttribute('src') !== trackSrcRef.current) audio.src = trackSrcRef.current;
+    if (songNodesRef.current) return;
     const ctx = getAudioCtx();
-    if (!ctx) return;
+    const bus = busInput('music');
+    if (!ctx || !bus) return;
     try {
-      const src  = ctx.createMediaElementSource(audio);
-      const gain = ctx.createGain();
-      gain.gain.value = soundRef.current ? 0.75 : 0;
-      src.connect(gain);
-      gain.connect(ctx.destination);
-      songGainRef.current = gain;
+      const source = ctx.createMediaElementSource(audio);
+      const gain   = ctx.createGain();
+      gain.gain.value = 0.75;  // the track's level within the music bus
+      source.connect(gain).connect(bus);
+      songNodesRef.current = { source, gain };
     } catch (_) { /* already routed */ }
   };
 
   const playSong = () => {
     setupSong();
-    if (songGainRef.current) songGainRef.current.gain.value = soundRef.current ? 0.75 : 0;
-    songRef.current?.play().catch(() => {});
+    const audio = songRef.current;
+    if (!audio) return;
+    // Rhythm's beat grid is in run-clock time, so the track has to sit at the
+    // same position — seek before playing, and again if starting up lagged
+    const sync = () => {
+      if (!gameRef.current?.beat || audio.seeking) return;
+      const at = runClock() / 1000;
+      if (Math.abs(audio.currentTime - at) > 0.03) audio.currentTime = at;
+    };
+    sync();
+    audio.play().then(sync).catch(() => {});
   };
 
   const pauseSong = () => { songRef.current?.pause(); };
@@ -172,37 +192,51 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
     if (songRef.current) { songRef.current.pause(); songRef.current.currentTime = 0; }
   };
 
-  // ── Tap melody synth — marimba-style, plays the next note in TAP_MELODY ──
+  // Unloads the current track; the next play loads the new source into the
+  // same element
+  const releaseSong = () => {
+    if (!songRef.current) return;
+    songRef.current.pause();
+    songRef.current.removeAttribute('src');
+    songRef.current.load();
+  };
+
+  // ── Tap melody — the next step of the selected phrase, on its timbre ──
 
-  const playMelodyNote = (freq, volume = 0.2) => {
+  const playMelodyStep = (chord) => {
     if (!soundRef.current) return;
-    const ctx = getAudioCtx();
-    if (!ctx) return;
-    const now = ctx.currentTime;
-    const osc  = ctx.createOscillator();
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(freq * 1.007, now);
-    osc.frequency.exponentialRampToValueAtTime(freq, now + 0.01);
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(0, now);
-    gain.gain.linearRampToValueAtTime(volume, now + 0.005);
-    gain.gain.exponentialRampToValueAtTime(volume * 0.3, now + 0.08);
-    gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.85);
-    // bright overtone for the "wood" character
-    const ot     = ctx.createOscillator();
-    ot.type = 'sine';
-    ot.frequency.value = freq * 4.0;
-    const otGain = ctx.createGain();
-    otGain.gain.setValueAtTime(volume * 0.15, now);
-    otGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.06);
-    osc.connect(gain).connect(ctx.destination);
-    ot.connect(otGain).connect(ctx.destination);
-    osc.start(now); osc.stop(now + 0.9);
-    ot.start(now);  ot.stop(now + 0.08);
+    const melody = tapMelodyRef.current;
+    const index  = songPosRef.current % melody.notes.length;
+    songPosRef.current++;
+    const at = playNote(melody.notes[index], { timbre: melody.timbre });
+    // Streak milestones stack a strummed chord on the note (or on the tonic after a rest)
+    if (chord && harmonyRef.current) {
+      harmonyHz(melody.key, melody.phrase[index] ?? 0).forEach((freq, i) => {
+        playNote(freq, { timbre: melody.timbre, volume: 0.12, at: at === null ? null : at + 0.04 * (i + 1) });
+      });
+    }
   };
 
-  useEffect(() => { scoreRef.current = score; }, [score]);
-  useEffect(() => { statusRef.current = status; }, [status]);
+  useEffect(() => {
+    statusRef.current = status;
+    if (status === 'paused') say('Game paused.');
+  }, [status]); // eslint-disable-line
+  const runLive = status === 'playing' || status === 'paused';
+  useEffect(() => { onRunChange?.(runLive); }, [runLive]); // eslint-disable-line
+  useEffect(() => { announceRef.current = announce; if (!announce) setAnnouncement(''); }, [announce]);
+
+  // Pause/resume can be triggered from several places; log the transition once here
+  // (pauseGame() logs its own pause so it can stamp the interruption itself)
+  useEffect(() => {
+    if (status === 'paused' && pausedAtRef.current === null) {
+      logEvent('pause');
+      pausedAtRef.current = performance.now();
+    } else if (status === 'playing' && pausedAtRef.current !== null) {
+      pausedMsRef.current += performance.now() - pausedAtRef.current;
+      pausedAtRef.current = null;
+      logEvent('resume');
+    }
+  }, [status]); // eslint-disable-line
 
   // Drive background song with game state
   useEffect(() => {
@@ -211,17 +245,40 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
     else                          stopSong();
   }, [status]); // eslint-disable-line
 
+  // Track change — swap the song, keeping playback going mid-run
+  useEffect(() => {
+    if (trackSrcRef.current === track.src) return;
+    trackSrcRef.current = track.src;
+    releaseSong();
+    if (statusRef.current === 'playing' && soundRef.current) playSong();
+  }, [track.src]); // eslint-disable-line
+
+
   // Sound toggle — mute/unmute background, stop if turning off
   useEffect(() => {
     soundRef.current = soundOn;
     localStorage.setItem('arcade_arena_sound', soundOn ? '1' : '0');
-    if (songGainRef.current) songGainRef.current.gain.value = soundOn ? 0.75 : 0;
+    setMuted(!soundOn);
     if (!soundOn) pauseSong();
     else if (statusRef.current === 'playing') playSong();
   }, [soundOn]); // eslint-disable-line
 
   // ── Core helpers ──────────────────────────────────────────────────────────
 
+  // The one game clock: ms of active play, read from any performance.now()-based
+  // timestamp (rAF frame time, pointer event timeStamp) so all timing agrees
+  const runClock = (at = performance.now()) => {
+    const pausedFor = pausedAtRef.current !== null ? at - pausedAtRef.current : 0;
+    return Math.round(at - runStartRef.current - pausedMsRef.current - Math.max(0, pausedFor));
+  };
+
+  const logEvent = (type, data = {}) => {
+    logRef.current.push({ t: runClock(), type, ...data });
+  };
+
+  // Screen-reader updates go through one polite live region
+  const say = (message) => { if (announceRef.current) setAnnouncement(message); };
+
   const flashCell = (cell, type) => {
     if (cell == null) return;
     if (flashTimeoutsRef.current[cell]) clearTimeout(flashTimeoutsRef.current[cell]);
@@ -248,96 +305,157 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
     comboTimerRef.current = setTimeout(() => setComboMsg(''), 1200);
   };
 
-  const endRun = () => {
+  const endRun = (state) => {
     if (finishedRef.current) return;
     finishedRef.current = true;
     setStatus('done');
-    const totalHits   = hitsRef.current;
-    const totalMisses = missesRef.current;
-    const attempts    = totalHits + totalMisses;
     onFinish?.({
-      score:       scoreRef.current,
+      ...summarize(state),
       playerName,
       mode,
-      hits:        totalHits,
-      misses:      totalMisses,
-      accuracy:    attempts > 0 ? Math.round((totalHits / attempts) * 100) : null,
-      fastestHit:  fastestHitRef.current,
-      avgReaction: totalHits > 0 ? Math.round(totalReactionRef.current / totalHits) : null,
-      maxStreak:   maxStreakRef.current,
+      seed:        state.seed,
+      ...(dayRef.current ? { day: dayRef.current } : {}),
+      grid,
+      reactions:   reactionsFromLog(logRef.current),
+      tiles:       tileStatsFromLog(logRef.current, cellCount),
+      log:         logRef.current,
     });
   };
 
-  // Synchronous time penalty — uses timeLeftRef to avoid async setState lag
-  const applyTimePenalty = (amount) => {
-    const newTime = Math.max(0, timeLeftRef.current - amount);
-    timeLeftRef.current = newTime;
-    setTimeLeft(newTime);
-    if (newTime <= 0) { endRun(); return true; }
-    return false;
+  // Feedback for each engine event — the log entry itself is recorded verbatim
+  const playEvent = (ev) => {
+    logRef.current.push(ev);
+    switch (ev.type) {
+      case 'hit':
+        flashCell(ev.cell, 'hit');
+        // Play the next melody note on top of the background track
+        playMelodyStep(!!COMBO_LABELS[ev.streak]);
+        spawnPop(ev.cell, ev.grade ? `${GRADE_LABELS[ev.grade]} +${ev.gained}` : `+${ev.gained}`);
+        showCombo(ev.streak);
+        if (COMBO_LABELS[ev.streak]) {
+          say(`${COMBO_LABELS[ev.streak]} — streak ${ev.streak}. Score ${ev.score}.`);
+        } else if (Math.floor(ev.score / SCORE_ANNOUNCE_STEP) > announcedScoreRef.current) {
+          say(`Score ${ev.score}.`);
+        }
+        announcedScoreRef.current = Math.floor(ev.score / SCORE_ANNOUNCE_STEP);
+        break;
+      case 'miss':
+        flashCell(ev.cell, 'miss');
+        playTone(220, 140, 0.13);
+        break;
+      case 'wrong':
+        flashCell(ev.cell, 'miss');
+        playTone(185, 120, 0.12);
+        if (navigator?.vibrate) navigator.vibrate(70);
+        break;
+      case 'hazard':
+        flashCell(ev.cell, 'hazard');
+        playTone(140, 180, 0.15);
+        say(`Hazard hit. Score ${ev.score}.`);
+        announcedScoreRef.current = Math.floor(ev.score / SCORE_ANNOUNCE_STEP);
+        break;
+      case 'life':
+        say(ev.lives === 1 ? 'Life lost. Last life!' : `Life lost. ${ev.lives} left.`);
+        break;
+      case 'start':
+        say('Run started.');
+        break;
+      case 'end':
+        say(`Run complete. Final score ${ev.score}.`);
+        break;
+      default: break;
+    }
   };
 
-  const spawnNewTarget = () => {
-    setActiveCell((prev) => {
-      const next = pickCell(prev, [], cellCount);
-      spawnTimeRef.current = performance.now();
-      setHazardCell(Math.random() < settings.hazardChance ? pickCell(next, [next], cellCount) : null);
-      return next;
-    });
+  // Applies an engine transition: store the new state, then play its events
+  const commit = ({ state, events }) => {
+    gameRef.current = state;
+    setGame(state);
+    events.forEach(playEvent);
+    if (state.over) endRun(state);
   };
 
   const resetRefs = () => {
-    scoreRef.current = 0;
-    hitsRef.current = 0;
-    missesRef.current = 0;
-    fastestHitRef.current = null;
-    totalReactionRef.current = 0;
-    maxStreakRef.current = 0;
+    gameRef.current = null;
+    announcedScoreRef.current = 0;
     songPosRef.current = 0;
+    logRef.current = [];
+    pausedAtRef.current = null;
+    pausedMsRef.current = 0;
+    lastBeatRef.current = -1;
   };
 
   const reset = () => {
     if (!playerName || playerName.trim().length === 0) return;
+    if (!beatReady) return;
     finishedRef.current = false;
-    const startT = settings.startTime;
-    timeLeftRef.current = startT;
     resetRefs();
+    setResumeIn(null); setAutoPaused(false);
     setStatus('playing');
-    setTimeLeft(startT);
-    setScore(0); setStreak(0); setMisses(0); setHits(0);
-    setFastestHit(null); setTotalReactionMs(0);
     setPops([]); setComboMsg(''); setFlashMap({});
-    const next = pickCell(-1, [], cellCount);
-    spawnTimeRef.current = performance.now();
-    setActiveCell(next);
-    setHazardCell(settings.hazardChance > 0 && Math.random() < settings.hazardChance
-      ? pickCell(next, [next], cellCount) : null);
+    ghostRef.current    = ghostRun;
+    setGhostScore(ghostRun ? 0 : null); setGhostCell(null);
+    // Racing a ghost replays its seed so both runs see the same tiles
+    // A Daily run belongs to the day it started on, even if it ends after midnight
+    dayRef.current = mode === 'daily' ? dailyKey() : null;
+    const seed = dayRef.current ? daySeed(dayRef.current) : ghostRun ? ghostRun.seed : randomSeed();
+    runStartRef.current = performance.now();
+    commit(startGame({ settings, seed, cellCount, mode, beat: track.beat }));
     playTone(640, 120, 0.16);
   };
 
+  // Rhythm: pulse the beat dot each beat, with a click when there's no track
+  // to keep time to
+  const onBeatFrame = (beat, t) => {
+    const index = Math.floor((t - beat.offset) / beat.interval);
+    if (index < 0 || index === lastBeatRef.current) return;
+    lastBeatRef.current = index;
+    if (!trackSrcRef.current) playTone(index % 4 === 0 ? 1320 : 990, 40, 0.08);
+    const dot = beatDotRef.current;
+    if (dot) {
+      dot.classList.remove('beat-dot--on');
+      void dot.offsetWidth;  // restart the animation
+      dot.classList.add('beat-dot--on');
+    }
+  };
+
   // ── Effects ───────────────────────────────────────────────────────────────
 
-  // Timer countdown
+  // Frame loop — one requestAnimationFrame clock drives the countdown, tile
+  // expiry and the time bar. React only re-renders when the engine emits
+  // events or the displayed tenth of a second changes.
   useEffect(() => {
     if (status !== 'playing') return undefined;
-    const id = setInterval(() => {
-      setTimeLeft((prev) => {
-        const next = +(prev - 0.1).toFixed(2);
-        timeLeftRef.current = next;
-        if (next <= 0) { clearInterval(id); endRun(); return 0; }
-        return next;
-      });
-    }, 100);
-    return () => clearInterval(id);
+    let frameId;
+    const frame = (now) => {
+      const prev = gameRef.current;
+      if (!prev) return;
+      const t = runClock(now);
+      const result = tick(prev, t);
+      const { state } = result;
+      const tenths = (g) => (g.timeLeft === null ? null : Math.floor(g.timeLeft * 10));
+      const warning = prev.timeLeft !== null && state.timeLeft !== null && !state.over
+        && TIME_WARNINGS.find((s) => prev.timeLeft > s && state.timeLeft <= s);
+      if (warning) say(`${warning} seconds left.`);
+      if (result.events.length > 0 || tenths(state) !== tenths(prev)) {
+        commit(result);
+        if (ghostRef.current) {
+          setGhostScore(scoreAt(ghostRef.current.log, t));
+          setGhostCell(frameAt(ghostRef.current.log, t).activeCell);
+        }
+      } else {
+        gameRef.current = state;
+      }
+      if (timebarRef.current && state.timeLeft !== null) {
+        timebarRef.current.style.width = `${timebarPercent(state.timeLeft)}%`;
+      }
+      if (state.beat && !state.over) onBeatFrame(state.beat, t);
+      if (!state.over) frameId = requestAnimationFrame(frame);
+    };
+    frameId = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameId);
   }, [status]); // eslint-disable-line
 
-  // Miss timeout — restarts whenever the active tile or pacing changes
-  useEffect(() => {
-    if (status !== 'playing') return undefined;
-    const timeout = setTimeout(() => registerMiss(), difficultyWindow);
-    return () => clearTimeout(timeout);
-  }, [status, activeCell, difficultyWindow]); // eslint-disable-line
-
   // Block accidental refresh while playing
   useEffect(() => {
     if (status !== 'playing') return undefined;
@@ -349,9 +467,89 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
     return () => window.removeEventListener('beforeunload', onBeforeUnload);
   }, [status]);
 
+  // Keycap labels for the player's actual layout, where the browser can tell us
+  useEffect(() => {
+    if (!keyboardPlay) return undefined;
+    let live = true;
+    loadKeyLabels().then((label) => { if (live && label) setKeyLabel(() => label); });
+    return () => { live = false; };
+  }, [keyboardPlay]);
+
+  useEffect(() => { setCursor(Math.floor(cellCount / 2)); }, [cellCount]);
+
+  // Keyboard play — tiles go through registerHit with the keydown's own timestamp
+  const onPlayKey = (e) => {
+    if (!keyboardPlay || status !== 'playing' || e.ctrlKey || e.metaKey || e.altKey) return false;
+    if (e.target?.closest?.('input, textarea, select')) return false;  // typing in the drawer
+    if (keys.scheme === 'cursor') {
+      const move = CURSOR_MOVES[e.code];
+      if (move) { setCursor((c) => moveCursor(c, move, grid.cols, grid.rows)); return true; }
+      if (CURSOR_TAP.has(e.code)) { if (!e.repeat) registerHit(cursor, e.timeStamp); return true; }
+      return false;
+    }
+    if (!keys.codes.has(e.code)) return false;
+    if (!e.repeat) registerHit(keys.codes.get(e.code), e.timeStamp);
+    return true;
+  };
+
+  // Controller connect / disconnect
+  useEffect(() => {
+    const onChange = () => setPadConnected(connectedPads().length > 0);
+    window.addEventListener('gamepadconnected', onChange);
+    window.addEventListener('gamepaddisconnected', onChange);
+    return () => {
+      window.removeEventListener('gamepadconnected', onChange);
+      window.removeEventListener('gamepaddisconnected', onChange);
+    };
+  }, []);
+
+  // Controller actions. Hits use the pad's own sample time, like keydown's timeStamp.
+  padActionRef.current = (action, stamp) => {
+    if (PAD_DIRECTIONS[action]) {
+      setCursor((c) => moveCursor(c, PAD_DIRECTIONS[action], grid.cols, grid.rows));
+      return;
+    }
+    if (action === 'sound') { setSoundOn((v) => !v); return; }
+    if (status === 'idle' || status === 'done') {
+      if ((action === 'hit' || action === 'pause') && playerName?.trim()) reset();
+      return;
+    }
+    if (action === 'hit') registerHit(cursor, stamp);
+    else if (action === 'pause') {
+      if (status === 'playing') pauseGame();
+      else if (resumeIn === null) resumeGame();
+    }
+  };
+
+  // The Gamepad API has no input events — poll once per frame while a pad is
+  // connected, acting on presses (not holds) except for repeating directions
+  useEffect(() => {
+    if (!padConnected || !gamepadBindings) return undefined;
+    let frameId;
+    let prevHeld = new Set();
+    const repeatAt = {};
+    const frame = (now) => {
+      const pad  = activePad();
+      const held = heldActions(pad, gamepadBindings);
+      held.forEach((action) => {
+        if (PAD_DIRECTIONS[action]) {
+          if (!prevHeld.has(action)) repeatAt[action] = now + REPEAT_DELAY_MS;
+          else if (now >= repeatAt[action]) repeatAt[action] = now + REPEAT_RATE_MS;
+          else return;
+        } else if (prevHeld.has(action)) return;
+        padActionRef.current(action, pad.timestamp);
+      });
+      prevHeld = held;
+      frameId = requestAnimationFrame(frame);
+    };
+    frameId = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameId);
+  }, [padConnected, gamepadBindings]);
+
   // Keyboard shortcuts
   useEffect(() => {
     const onKey = (e) => {
+      if (onPlayKey(e)) { e.preventDefault(); return; }
       // Block F5 / Ctrl+R / Cmd+R refresh while playing
       if (status === 'playing') {
         const isRefresh = e.code === 'F5' || ((e.ctrlKey || e.metaKey) && e.code === 'KeyR');
@@ -362,138 +560,132 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
         if ((status === 'idle' || status === 'done') && playerName?.trim()) reset();
       }
       if (e.code === 'KeyP' || e.code === 'Escape') {
-        if (status === 'playing') setStatus('paused');
-        else if (status === 'paused') setStatus('playing');
+        if (status === 'playing') pauseGame();
+        else if (status === 'paused' && resumeIn !== null) setResumeIn(null);
+        else if (status === 'paused') resumeGame();
       }
       if (e.code === 'KeyM') setSoundOn((v) => !v);
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [status, playerName]); // eslint-disable-line
+  }, [status, playerName, resumeIn, keyboardPlay, keys, cursor]); // eslint-disable-line
+
+  // Auto-pause when the player is pulled away: tab switch, phone lock, app
+  // switch, focus moving to another window. A countdown in progress is
+  // cancelled the same way, so play never resumes behind their back.
+  useEffect(() => {
+    if (status !== 'playing' && resumeIn === null) return undefined;
+    const interrupt = (e) => {
+      if (statusRef.current === 'playing') pauseGame(e.timeStamp, true);
+      else setResumeIn(null);
+    };
+    const onVisibility = (e) => { if (document.hidden) interrupt(e); };
+    window.addEventListener('blur', interrupt);
+    window.addEventListener('pagehide', interrupt);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.removeEventListener('blur', interrupt);
+      window.removeEventListener('pagehide', interrupt);
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, [status, resumeIn]); // eslint-disable-line
+
+  // Resume countdown — the clock stays stopped until it reaches zero
+  useEffect(() => {
+    if (resumeIn === null) return undefined;
+    const id = setTimeout(() => {
+      if (resumeIn > 1) {
+        setResumeIn(resumeIn - 1);
+        playTone(440, 80, 0.08);
+        return;
+      }
+      setResumeIn(null);
+      setAutoPaused(false);
+      setStatus('playing');
+      playTone(660, 120, 0.12);
+    }, 1000);
+    return () => clearTimeout(id);
+  }, [resumeIn]); // eslint-disable-line
 
   // Cleanup timers on unmount
   useEffect(() => () => {
     Object.values(flashTimeoutsRef.current).forEach(clearTimeout);
     if (comboTimerRef.current) clearTimeout(comboTimerRef.current);
-    stopSong();
+    releaseSong();
+    songNodesRef.current?.source.disconnect();
+    songNodesRef.current?.gain.disconnect();
   }, []); // eslint-disable-line
 
   // Reset when difficulty changes
   useEffect(() => {
     finishedRef.current = false;
-    const startT = settings.startTime;
-    timeLeftRef.current = startT;
     resetRefs();
-    setStatus('idle'); setTimeLeft(startT);
-    setScore(0); setStreak(0); setMisses(0); setHits(0);
-    setFastestHit(null); setTotalReactionMs(0);
+    setStatus('idle'); setGame(null);
+    setResumeIn(null); setAutoPaused(false);
     setPops([]); setComboMsg(''); setFlashMap({});
-    setActiveCell(pickCell(-1, [], cellCount)); setHazardCell(null);
-  }, [settings, cellCount]); // eslint-disable-line
-
-  // Resize
-  useEffect(() => {
-    const onResize = () => {
-      const next = getGrid();
-      setGrid((prev) => (prev.cols === next.cols && prev.rows === next.rows ? prev : next));
-    };
-    window.addEventListener('resize', onResize);
-    return () => window.removeEventListener('resize', onResize);
-  }, []);
+    setIdleCell(pickCell(-1, [], cellCount));
+    ghostRef.current = null; setGhostScore(null); setGhostCell(null);
+  }, [settings, cellCount, mode]); // eslint-disable-line
 
   // ── Game actions ──────────────────────────────────────────────────────────
 
-  const registerMiss = () => {
-    if (status !== 'playing') return;
-    setStreak(0);
-    setMisses((m) => m + 1);
-    missesRef.current += 1;
-    flashCell(activeCell, 'miss');
-    playTone(220, 140, 0.13);
-    const ended = applyTimePenalty(settings.missPenalty);
-    if (!ended) spawnNewTarget();
+  // `at` is when the interruption happened (an event timeStamp), so the time
+  // the handler took to run isn't charged to the player
+  const pauseGame = (at = performance.now(), auto = false) => {
+    if (statusRef.current !== 'playing') return;
+    const now = performance.now();
+    statusRef.current   = 'paused';
+    pausedAtRef.current = at > runStartRef.current && at <= now ? at : now;
+    logRef.current.push({ t: runClock(pausedAtRef.current), type: 'pause' });
+    setAutoPaused(auto);
+    setStatus('paused');
   };
 
   const resumeGame = () => {
-    if (status === 'paused') { setStatus('playing'); playTone(520, 120, 0.1); }
+    if (status !== 'paused' || resumeIn !== null) return;
+    setResumeIn(RESUME_COUNTDOWN);
+    playTone(440, 80, 0.08);
   };
 
-  const registerHit = (cellIndex) => {
-    if (status !== 'playing') return;
-
-    // ── Hazard tile ──
-    if (cellIndex === hazardCell) {
-      flashCell(cellIndex, 'hazard');
-      playTone(140, 180, 0.15);
-      setHazardCell(null);
-      setStreak(0);
-      missesRef.current += 1;
-      setScore((s) => { const v = Math.max(s - 10, 0); scoreRef.current = v; return v; });
-      const ended = applyTimePenalty(settings.missPenalty + 1);
-      if (!ended) spawnNewTarget();
-      return;
-    }
-
-    // ── Wrong tile ──
-    if (cellIndex !== activeCell) {
-      setStreak(0);
-      missesRef.current += 1;
-      flashCell(cellIndex, 'miss');
-      playTone(185, 120, 0.12);
-      applyTimePenalty(settings.wrongClickPenalty ?? 2.5);
-      if (navigator?.vibrate) navigator.vibrate(70);
-      return;
-    }
-
-    // ── Correct hit ──
-    const reaction = performance.now() - spawnTimeRef.current;
-    const reactionRounded = Math.round(reaction);
-
-    setFastestHit((prev) => (prev === null ? reactionRounded : Math.min(prev, reactionRounded)));
-    setTotalReactionMs((prev) => prev + reaction);
-    setHits((prev) => prev + 1);
-    hitsRef.current += 1;
-    totalReactionRef.current += reaction;
-    if (fastestHitRef.current === null || reactionRounded < fastestHitRef.current) {
-      fastestHitRef.current = reactionRounded;
-    }
-
-    flashCell(cellIndex, 'hit');
-
-    // Play the next melody note on top of the background track
-    playMelodyNote(TAP_MELODY[songPosRef.current % TAP_MELODY.length]);
-    songPosRef.current++;
-
-    const speedBonus  = Math.max(2, Math.round((1200 - reaction) / 30));
-    const streakBonus = Math.max(0, streak - 1) * 4;
-    const gained      = 15 + speedBonus + streakBonus;
-
-    setScore((s) => { const v = Math.max(s + gained, 0); scoreRef.current = v; return v; });
-    spawnPop(cellIndex, `+${gained}`);
-
-    const newStreak = streak + 1;
-    setStreak(newStreak);
-    if (newStreak > maxStreakRef.current) maxStreakRef.current = newStreak;
-    showCombo(newStreak);
-
-    const timeReward = Math.max(settings.rewardFloor,
-      1.25 - reaction / settings.rewardSlope - streak * settings.rewardStreakFactor);
-    const gain    = Math.max(settings.minGain, timeReward + settings.rewardBonus);
-    const newTime = clamp(timeLeftRef.current + gain, 0, settings.timeRewardCap);
-    timeLeftRef.current = newTime;
-    setTimeLeft(newTime);
+  // `at` is the input event's own timestamp, so reaction time excludes
+  // whatever delay there was before the handler ran
+  const registerHit = (cellIndex, at) => {
+    if (status !== 'playing' || !gameRef.current) return;
+    const now = performance.now();
+    const stamp = at > runStartRef.current && at <= now ? at : now;
+    commit(hit(gameRef.current, cellIndex, runClock(stamp)));
+  };
 
-    spawnNewTarget();
+  // Zen has no end condition of its own
+  const endZen = () => {
+    if (status !== 'playing' || !gameRef.current) return;
+    commit(finish(gameRef.current, runClock()));
   };
 
   // ── Derived display values ────────────────────────────────────────────────
 
-  const totalAttempts = hits + misses;
-  const accuracy      = totalAttempts > 0 ? Math.round((hits / totalAttempts) * 100) : null;
-  const avgReaction   = hits > 0 ? Math.round(totalReactionMs / hits) : null;
-  const isNewBest     = status === 'done' && personalBest > 0 && score > personalBest;
-  const isFirstBest   = status === 'done' && personalBest === 0 && score > 0;
-  const timebarBanked = timeLeft > settings.startTime;
+  const stats         = game ? summarize(game) : null;
+  const score         = stats?.score ?? 0;
+  const accuracy      = stats?.accuracy ?? null;
+  const fastestHit    = stats?.fastestHit ?? null;
+  const avgReaction   = stats?.avgReaction ?? null;
+  const streak        = game?.streak ?? 0;
+  const grades        = stats?.grades ?? null;
+  const fullTime      = rules.timer === 'fixed' ? rules.duration : settings.startTime;
+  const timeLeft      = game ? game.timeLeft : rules.timer ? fullTime : null;
+  const lives         = game ? game.lives : rules.lives ?? null;
+  const activeCell    = game ? game.activeCell : idleCell;
+  const hazardCell    = game?.hazardCell ?? null;
+  const isNewBest     = status === 'done' && ranked && personalBest > 0 && score > personalBest;
+  const isFirstBest   = status === 'done' && ranked && personalBest === 0 && score > 0;
+  const timebarBanked = rules.timer === 'bank' && timeLeft > settings.startTime;
+  const timebarPercent = (seconds) => Math.min(100, (seconds / fullTime) * 100);
+  const showKeyHints  = keyboardPlay && keys.scheme === 'keys';
+  const showCursor    = ((keyboardPlay && keys.scheme === 'cursor') || (padConnected && gamepadBindings))
+    && status !== 'idle';
+  const ghostDelta    = ghostScore !== null ? score - ghostScore : null;
+  const ghostLabel    = ghostDelta === null ? ''
+    : ghostDelta >= 0 ? `+${ghostDelta} ahead` : `${ghostDelta} behind`;
 
   // ── Render ────────────────────────────────────────────────────────────────
 
@@ -512,19 +704,47 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
         </div>
         <div className="hud-block">
           {personalBest > 0 && <p className="value small pb-line">PB {personalBest}</p>}
-          <div className="timebar">
-            <div
-              className={`timebar-fill${timebarBanked ? ' timebar-fill--banked' : ''}`}
-              style={{ width: `${Math.min(100, (timeLeft / settings.startTime) * 100)}%` }}
-            />
-          </div>
-          <p className="value small">{timeLeft.toFixed(1)}s</p>
+          {ghostDelta !== null && status !== 'idle' && (
+            <p className={`ghost-delta${ghostDelta >= 0 ? ' ghost-delta--ahead' : ' ghost-delta--behind'}`}>
+              {ghostLabel}
+            </p>
+          )}
+          {timeLeft !== null && (
+            <>
+              <div className="timebar">
+                <div
+                  ref={timebarRef}
+                  className={`timebar-fill${timebarBanked ? ' timebar-fill--banked' : ''}`}
+                  style={{ width: `${timebarPercent(timeLeft)}%` }}
+                />
+              </div>
+              <p className="value small">{timeLeft.toFixed(1)}s</p>
+            </>
+          )}
+          {rules.beats && (
+            <p className="beat-line" aria-hidden="true">
+              <span ref={beatDotRef} className="beat-dot" />
+              {track.beat ? `${Math.round(track.beat.bpm)} BPM` : '— BPM'}
+            </p>
+          )}
+          {lives !== null && (
+            <p className="lives" aria-label={`${lives} lives left`}>
+              {[...Array(rules.lives)].map((_, i) => (
+                <span key={i} className={i < lives ? 'life' : 'life life--lost'}>♥</span>
+              ))}
+            </p>
+          )}
+          {mode === 'zen' && (
+            <button type="button" className="mini-btn ghost" onClick={endZen} disabled={status !== 'playing'}>
+              End run
+            </button>
+          )}
         </div>
       </div>
 
       {/* Arena */}
       <div
-        className="arena"
+        className={`arena${status === 'paused' ? ' arena--paused' : ''}${gridSize >= 7 ? ' arena--dense' : ''}`}
         style={{ gridTemplateColumns: `repeat(${grid.cols}, minmax(0, 1fr))` }}
         onTouchMove={(e) => e.preventDefault()}
       >
@@ -536,12 +756,16 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
               'cell',
               idx === activeCell  ? 'cell--active cell--life' : '',
               idx === hazardCell  ? 'cell--hazard'            : '',
+              idx === ghostCell && status === 'playing' ? 'cell--ghost' : '',
+              showCursor && idx === cursor ? 'cell--cursor' : '',
               flashMap[idx]       ? `cell--flash-${flashMap[idx]}` : '',
             ].join(' ').trim()}
-            style={idx === activeCell ? { '--life': `${difficultyWindow}ms` } : undefined}
-            onPointerDown={(e) => { e.preventDefault(); registerHit(idx); }}
-            aria-label={idx === activeCell ? 'Active target' : idx === hazardCell ? 'Hazard' : 'Tile'}
-          />
+            style={idx === activeCell && game ? { '--life': `${game.window}ms` } : undefined}
+            onPointerDown={(e) => { e.preventDefault(); registerHit(idx, e.timeStamp); }}
+            aria-label={idx === activeCell ? 'Active target' : idx === hazardCell ? 'Hazard — do not tap' : 'Tile'}
+          >
+            {showKeyHints && <span className="cell-key" aria-hidden="true">{keyLabel(keys.hints[idx])}</span>}
+          </button>
         ))}
 
         {/* Floating score popups */}
@@ -560,10 +784,22 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
             <div className="overlay-card">
               {status === 'paused' ? (
                 <>
-                  <p className="headline">Paused</p>
-                  <p className="sub">Press P or Esc to continue.</p>
-                  <button className="cta" onClick={resumeGame}>Resume</button>
-                  <button className="mini-btn ghost" onClick={reset}>Restart</button>
+                  {resumeIn !== null ? (
+                    <>
+                      <p className="sub">Get ready…</p>
+                      <p key={resumeIn} className="resume-count" aria-live="assertive">{resumeIn}</p>
+                      <button className="mini-btn ghost" onClick={() => setResumeIn(null)}>Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <p className="headline">Paused</p>
+                      <p className="sub">
+                        {autoPaused ? 'We paused while you were away. ' : ''}Press P or Esc to continue.
+                      </p>
+                      <button className="cta" onClick={resumeGame}>Resume</button>
+                      <button className="mini-btn ghost" onClick={reset}>Restart</button>
+                    </>
+                  )}
                 </>
               ) : (
                 <>
@@ -576,6 +812,9 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
                           {isFirstBest ? 'FIRST SCORE SET' : 'NEW PERSONAL BEST'}
                         </p>
                       )}
+                      {isCustom && <p className="daily-tag">Custom difficulty · unranked</p>}
+                      {mode === 'zen' && <p className="daily-tag">Zen · not submitted</p>}
+                      {mode === 'rhythm' && <p className="daily-tag">Rhythm · not submitted</p>}
                       <div className="end-stats">
                         <div className="end-stat">
                           <span className="end-stat-label">Score</span>
@@ -599,6 +838,20 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
                             <span className="end-stat-value">{avgReaction} ms</span>
                           </div>
                         )}
+                        {grades && (
+                          <div className="end-stat">
+                            <span className="end-stat-label">Perfect / Great</span>
+                            <span className="end-stat-value">{grades.perfect} / {grades.great}</span>
+                          </div>
+                        )}
+                        {ghostDelta !== null && (
+                          <div className="end-stat">
+                            <span className="end-stat-label">vs Ghost</span>
+                            <span className={`end-stat-value ghost-delta--${ghostDelta >= 0 ? 'ahead' : 'behind'}`}>
+                              {ghostDelta >= 0 ? `+${ghostDelta}` : ghostDelta}
+                            </span>
+                          </div>
+                        )}
                         {personalBest > 0 && (
                           <div className="end-stat">
                             <span className="end-stat-label">Personal best</span>
@@ -608,13 +861,31 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
                       </div>
                     </>
                   ) : (
-                    <p className="sub">
-                      Tap green tiles fast — each hit plays a melody note.
-                      {settings.hazardChance > 0 ? ' Dodge red decoys.' : ''}
-                    </p>
+                    <>
+                      {mode === 'daily' && (
+                        <p className="daily-tag">Daily Challenge · {dailyKey()}</p>
+                      )}
+                      {isCustom && <p className="daily-tag">Custom difficulty · unranked</p>}
+                      <p className="sub">
+                        {mode === 'daily'
+                          ? 'Everyone gets the same tiles today — make them count.'
+                          : MODE_INTRO[mode] ?? MODE_INTRO.solo}
+                        {settings.hazardChance > 0 && mode !== 'survival' ? ' Dodge red decoys.' : ''}
+                      </p>
+                      {ghostRun && (
+                        <p className="sub small">Racing your PB ghost ({ghostRun.score}) on the same tiles.</p>
+                      )}
+                      {!beatReady && (
+                        <p className="sub small">
+                          {beatStatus === 'failed'
+                            ? 'Couldn’t find a steady beat in this track — set its BPM in Music settings, or pick another.'
+                            : `Finding the beat in “${track.title}”…${beatProgress != null ? ` ${Math.round(beatProgress * 100)}%` : ''}`}
+                        </p>
+                      )}
+                    </>
                   )}
 
-                  <button className="cta" onClick={reset}>
+                  <button className="cta" onClick={reset} disabled={!beatReady}>
                     {status === 'idle' ? 'Start' : 'Play Again  (Space)'}
                   </button>
                 </>
@@ -624,6 +895,9 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
         )}
       </div>
 
+      {/* Screen-reader announcements (visually hidden) */}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
+
       {/* Sound toggle — always accessible below the arena */}
       <div className="sound-bar">
         <button
@@ -635,7 +909,10 @@ function GameBoard({ playerName, mode, difficulty = 'normal', onFinish, personal
           {soundOn ? 'Sound on' : 'Sound off'}
         </button>
         {soundOn && (
-          <span className="now-playing">Lonely at the Top – Asake</span>
+          <span className="now-playing" title={`Tap melody in ${describeKey(melodyKey)}`}>{trackCaption(track)}</span>
+        )}
+        {padConnected && (
+          <span className="pad-indicator" title="Controller connected">🎮 Controller</span>
         )}
       </div>
     </div>
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import {
+  DEFAULT_PAD_BINDINGS, PAD_ACTIONS, activePad, buttonName, connectedPads, pressedButtons,
+} from '../gamepad';
+
+// ─── GamepadBindings — connection status and button remapping ───────────────
+
+function GamepadBindings({ bindings, onChange, onRemapChange }) {
+  const [padName, setPadName]   = useState(() => connectedPads()[0]?.id ?? null);
+  const [listening, setListening] = useState(null);  // action waiting for a button
+
+  useEffect(() => {
+    const onPads = () => setPadName(connectedPads()[0]?.id ?? null);
+    window.addEventListener('gamepadconnected', onPads);
+    window.addEventListener('gamepaddisconnected', onPads);
+    return () => {
+      window.removeEventListener('gamepadconnected', onPads);
+      window.removeEventListener('gamepaddisconnected', onPads);
+    };
+  }, []);
+
+  useEffect(() => { onRemapChange?.(listening !== null); }, [listening]); // eslint-disable-line
+
+  // Waits for a fresh press: buttons already down when listening starts
+  // (e.g. the one that opened it) don't count until released
+  useEffect(() => {
+    if (listening === null) return undefined;
+    let frameId;
+    let ignore = pressedButtons(activePad());
+    const frame = () => {
+      const pressed = pressedButtons(activePad());
+      const fresh = [...pressed].find((i) => !ignore.has(i));
+      if (fresh !== undefined) {
+        // A button can only do one thing — swap with whichever action had it
+        const previous = Object.keys(bindings).find((a) => bindings[a] === fresh);
+        onChange({
+          ...bindings,
+          [listening]: fresh,
+          ...(previous && previous !== listening ? { [previous]: bindings[listening] } : {}),
+        });
+        setListening(null);
+        return;
+      }
+      ignore = new Set([...ignore].filter((i) => pressed.has(i)));
+      frameId = requestAnimationFrame(frame);
+    };
+    frameId = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameId);
+  }, [listening]); // eslint-disable-line
+
+  return (
+    <div className="pad-bindings">
+      <p className={`pad-bindings__status${padName ? ' pad-bindings__status--on' : ''}`}>
+        {padName ? `Connected: ${padName}` : 'No controller — plug one in and press any button.'}
+      </p>
+      <ul className="pad-bindings__list">
+        {PAD_ACTIONS.map(({ id, label }) => (
+          <li key={id}>
+            <span>{label}</span>
+            <button
+              type="button"
+              className={`mini-btn ghost${listening === id ? ' pad-bindings__listening' : ''}`}
+              disabled={!padName}
+              onClick={() => setListening(listening === id ? null : id)}
+            >
+              {listening === id ? 'Press a button…' : buttonName(bindings[id])}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="pad-bindings__footer">
+        <span className="muted small-hint">The left stick always moves the cursor.</span>
+        <button type="button" className="mini-btn ghost" onClick={() => { setListening(null); onChange({ ...DEFAULT_PAD_BINDINGS }); }}>
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GamepadBindings;
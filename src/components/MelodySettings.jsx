@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { SCALES, TONICS, describeKey, melodyNotes } from '../music';
+import { DEGREE_RANGE, MELODY_SETS, STEP_COUNTS } from '../melodies';
+import { TIMBRES, playPhrase } from '../synth';
+
+// ─── MelodySettings — tap-melody picker, harmony toggle and step editor ─────
+
+const DEGREES = [...Array(DEGREE_RANGE[1] - DEGREE_RANGE[0] + 1)].map((_, i) => DEGREE_RANGE[1] - i);
+
+// Editor draft from an existing set (or a blank phrase)
+const draftFrom = (set) => ({
+  id:     set?.custom ? set.id : null,
+  label:  set?.custom ? set.label : '',
+  timbre: set?.timbre ?? 'marimba',
+  key:    set?.key ?? null,
+  steps:  set ? fitSteps(set.phrase, STEP_COUNTS.find((n) => n >= set.phrase.length) ?? STEP_COUNTS[STEP_COUNTS.length - 1])
+    : Array(STEP_COUNTS[1]).fill(null),
+});
+
+// Pads with rests or trims to `count` steps
+const fitSteps = (phrase, count) => [...Array(count)].map((_, i) => phrase[i] ?? null);
+
+function MelodySettings({ settings, customSets, trackKey, onChange, onSaveSet, onDeleteSet }) {
+  const [draft, setDraft] = useState(null);  // null while the editor is closed
+
+  const all      = [...MELODY_SETS, ...customSets.map((set) => ({ ...set, custom: true }))];
+  const selected = all.find((set) => set.id === settings.setId) ?? MELODY_SETS[0];
+  const set      = (patch) => onChange({ ...settings, ...patch });
+  const edit     = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  const draftKey   = draft?.key ?? trackKey;
+  const hasNotes   = draft?.steps.some((d) => d !== null);
+  const toggleStep = (step, degree) => edit({
+    steps: draft.steps.map((d, i) => (i === step ? (d === degree ? null : degree) : d)),
+  });
+
+  const save = () => {
+    const id = draft.id ?? `custom-${Date.now().toString(36)}`;
+    onSaveSet({
+      id,
+      label:  draft.label.trim() || 'My melody',
+      phrase: draft.steps,
+      timbre: draft.timbre,
+      key:    draft.key,
+    });
+    set({ setId: id });
+    setDraft(null);
+  };
+
+  return (
+    <div className="melody-settings">
+      <label className="melody-settings__row">
+        <span>Melody</span>
+        <select className="select" value={selected.id} onChange={(e) => set({ setId: e.target.value })}>
+          {all.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <p className="muted small-hint">
+        {TIMBRES.find((t) => t.id === selected.timbre)?.label} · {describeKey(selected.key ?? trackKey)}
+        {selected.key ? '' : ' (from the track)'}
+      </p>
+
+      <div className="melody-settings__row">
+        <span>Harmony on streaks</span>
+        <div className="segmented">
+          <button className={!settings.harmony ? 'active' : ''} onClick={() => set({ harmony: false })}>Off</button>
+          <button className={settings.harmony ? 'active' : ''} onClick={() => set({ harmony: true })}>On</button>
+        </div>
+      </div>
+
+      {!draft ? (
+        <div className="melody-settings__actions">
+          <button type="button" className="mini-btn ghost" onClick={() => setDraft(draftFrom(null))}>New melody</button>
+          <button type="button" className="mini-btn ghost" onClick={() => setDraft(draftFrom(selected))}>
+            {selected.custom ? 'Edit' : 'Copy & edit'}
+          </button>
+          {selected.custom && (
+            <button type="button" className="mini-btn ghost" onClick={() => { onDeleteSet(selected.id); set({ setId: MELODY_SETS[0].id }); }}>
+              Delete
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="melody-editor">
+          <input
+            className="melody-editor__name"
+            value={draft.label}
+            maxLength={40}
+            placeholder="Melody name"
+            onChange={(e) => edit({ label: e.target.value })}
+          />
+          <div className="melody-editor__options">
+            <select className="select" aria-label="Timbre" value={draft.timbre} onChange={(e) => edit({ timbre: e.target.value })}>
+              {TIMBRES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select
+              className="select"
+              aria-label="Key"
+              value={draft.key ? draft.key.tonic : ''}
+              onChange={(e) => edit({ key: e.target.value ? { tonic: e.target.value, scale: draftKey.scale } : null })}
+            >
+              <option value="">Track key</option>
+              {TONICS.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <select
+              className="select"
+              aria-label="Scale"
+              value={draftKey.scale}
+              disabled={!draft.key}
+              onChange={(e) => edit({ key: { ...draft.key, scale: e.target.value } })}
+            >
+              {Object.entries(SCALES).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+            </select>
+            <select
+              className="select"
+              aria-label="Steps"
+              value={draft.steps.length}
+              onChange={(e) => edit({ steps: fitSteps(draft.steps, Number(e.target.value)) })}
+            >
+              {STEP_COUNTS.map((n) => <option key={n} value={n}>{n} steps</option>)}
+            </select>
+          </div>
+
+          {/* Rows are scale degrees, highest first; one note (or a rest) per step */}
+          <div className="melody-editor__grid" role="grid" aria-label="Melody steps">
+            {DEGREES.map((degree) => (
+              <div key={degree} className="melody-editor__lane" role="row">
+                {draft.steps.map((d, step) => (
+                  <button
+                    key={step}
+                    type="button"
+                    role="gridcell"
+                    className={[
+                      'melody-editor__step',
+                      d === degree ? 'melody-editor__step--on' : '',
+                      degree === 0 ? 'melody-editor__step--tonic' : '',
+                      step % 4 === 0 ? 'melody-editor__step--bar' : '',
+                    ].join(' ').trim()}
+                    aria-label={`Step ${step + 1}, degree ${degree}`}
+                    aria-pressed={d === degree}
+                    onClick={() => toggleStep(step, degree)}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+          <p className="muted small-hint">Each hit plays the next step; empty steps are rests.</p>
+
+          <div className="melody-settings__actions">
+            <button
+              type="button"
+              className="mini-btn ghost"
+              disabled={!hasNotes}
+              onClick={() => playPhrase(melodyNotes(draftKey, draft.steps), { timbre: draft.timbre })}
+            >
+              ▶ Preview
+            </button>
+            <button type="button" className="mini-btn ghost" onClick={() => edit({ steps: draft.steps.map(() => null) })}>Clear</button>
+            <button type="button" className="mini-btn ghost" onClick={() => setDraft(null)}>Cancel</button>
+            <button type="button" className="mini-btn" disabled={!hasNotes} onClick={save}>Save</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MelodySettings;
@@ -0,0 +1,118 @@
+import React, { useRef } from 'react';
+import { SCALES, TONICS, describeKey } from '../music';
+
+// ─── MusicLibrary — bundled and user tracks, with each track's melody key ───
+
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+
+// Typed values only stick once they make a usable grid
+const parseBeat = (bpmText, offsetText) => {
+  const bpm    = Number(bpmText);
+  const offset = Number(offsetText || 0);
+  if (!Number.isFinite(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) return null;
+  if (!Number.isFinite(offset) || offset < 0) return null;
+  return { bpm, offset: Math.round(offset) };
+};
+
+function MusicLibrary({ bundled, userTracks, selectedId, onSelect, onAdd, onUpdate, onDelete, error }) {
+  const fileRef = useRef(null);
+
+  const row = (track, user) => (
+    <li key={track.id} className={`music-library__track${track.id === selectedId ? ' music-library__track--on' : ''}`}>
+      <button type="button" className="music-library__pick" onClick={() => onSelect(track.id)}>
+        <span className="music-library__title">{track.title}</span>
+        <span className="muted small-hint">
+          {[track.artist, describeKey(track.melody), track.beat && `${Math.round(track.beat.bpm)} BPM`]
+            .filter(Boolean).join(' · ')}
+        </span>
+      </button>
+      {user && (
+        <div className="music-library__edit">
+          <select
+            className="select"
+            aria-label={`Melody key for ${track.title}`}
+            value={track.melody.tonic}
+            onChange={(e) => onUpdate(track.id, { melody: { ...track.melody, tonic: e.target.value } })}
+          >
+            {TONICS.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <select
+            className="select"
+            aria-label={`Melody scale for ${track.title}`}
+            value={track.melody.scale}
+            onChange={(e) => onUpdate(track.id, { melody: { ...track.melody, scale: e.target.value } })}
+          >
+            {Object.entries(SCALES).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+          </select>
+          <button type="button" className="mini-btn ghost" onClick={() => onDelete(track.id)} title="Remove track">✕</button>
+        </div>
+      )}
+      {user && (
+        // Remounts when a grid first appears, so a detected beat fills the fields
+        <div className="music-library__beat" key={track.beat ? 'set' : 'none'}>
+          <label className="custom-field">
+            <span>BPM</span>
+            <input
+              type="number"
+              inputMode="decimal"
+              min={MIN_BPM}
+              max={MAX_BPM}
+              step="0.01"
+              placeholder="auto"
+              defaultValue={track.beat?.bpm ?? ''}
+              onChange={(e) => {
+                const beat = parseBeat(e.target.value, track.beat?.offset);
+                if (beat) onUpdate(track.id, { beat });
+              }}
+            />
+          </label>
+          <label className="custom-field">
+            <span>First beat (ms)</span>
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="1"
+              disabled={!track.beat}
+              defaultValue={track.beat?.offset ?? ''}
+              onChange={(e) => {
+                const beat = track.beat && parseBeat(track.beat.bpm, e.target.value);
+                if (beat) onUpdate(track.id, { beat });
+              }}
+            />
+          </label>
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="music-library">
+      <ul className="music-library__list">
+        {bundled.map((t) => row(t, false))}
+        {userTracks.map((t) => row(t, true))}
+      </ul>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="audio/*"
+        hidden
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) onAdd(file);
+        }}
+      />
+      <div className="music-library__footer">
+        <span className="muted small-hint">Your files stay on this device.</span>
+        <button type="button" className="mini-btn ghost" onClick={() => fileRef.current?.click()}>
+          Add audio file…
+        </button>
+      </div>
+      {error && <p className="music-library__error">{error}</p>}
+    </div>
+  );
+}
+
+export default MusicLibrary;
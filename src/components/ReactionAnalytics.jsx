@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from 'react';
+import {
+  FATIGUE_BIN_S, HIST_BIN_MS, consistencyLabel, fatigueCurve, poolReactionStats, reactionHistogram,
+  reactionTrend, runReactionStats,
+} from '../analytics';
+
+// ─── ReactionAnalytics — spread, trend and fatigue of per-hit reaction times ─
+
+const SVG_W  = 560;
+const SVG_H  = 150;
+const PAD_L  = 40;
+const PAD_R  = 10;
+const PAD_T  = 12;
+const PAD_B  = 26;
+const PLOT_W = SVG_W - PAD_L - PAD_R;
+const PLOT_H = SVG_H - PAD_T - PAD_B;
+
+const TREND_RUNS  = 30;   // runs on the over-time chart
+const PICKER_RUNS = 50;   // runs offered in the scope picker
+
+const fmtMs = (ms) => (ms != null ? `${ms} ms` : '—');
+
+const runLabel = (run) => `${new Date(run.timestamp).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric',
+})} ${new Date(run.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} · ${run.score} pts`;
+
+// Rounded-up axis maximum so tick labels stay readable
+const niceMax = (value) => {
+  const step = value > 600 ? 200 : value > 240 ? 100 : 50;
+  return Math.max(step, Math.ceil(value / step) * step);
+};
+
+const yTicks = (max) => [0, 1, 2, 3].map((i) => {
+  const val = (i / 3) * max;
+  return { val: Math.round(val), py: PAD_T + PLOT_H - (val / max) * PLOT_H };
+});
+
+function Axes({ max, xLabels }) {
+  return (
+    <>
+      {yTicks(max).map(({ val, py }) => (
+        <g key={val}>
+          <line x1={PAD_L} y1={py.toFixed(1)} x2={SVG_W - PAD_R} y2={py.toFixed(1)} stroke="rgba(255,255,255,0.06)" strokeWidth="1" />
+          <text x={PAD_L - 6} y={py.toFixed(1)} textAnchor="end" dominantBaseline="middle" className="chart-axis-label">{val}</text>
+        </g>
+      ))}
+      {xLabels.map(({ px, label }) => (
+        <text key={`x-${px}`} x={px.toFixed(1)} y={SVG_H - 6} textAnchor="middle" className="chart-axis-label">{label}</text>
+      ))}
+    </>
+  );
+}
+
+// ─── Histogram ──────────────────────────────────────────────────────────────
+
+function Histogram({ bins, stats }) {
+  const peak  = Math.max(...bins.map((b) => b.count), 1);
+  const slot  = PLOT_W / bins.length;
+  const msX   = (ms) => PAD_L + (ms / HIST_BIN_MS) * slot;
+  const xLabels = bins
+    .filter((b) => b.from % 200 === 0)
+    .map((b) => ({ px: msX(b.from), label: b.to === null ? `${b.from}+` : b.from }));
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="stats-chart" role="img" aria-label="Histogram of reaction times">
+      <Axes max={peak} xLabels={xLabels} />
+      {bins.map((b, i) => {
+        const h = (b.count / peak) * PLOT_H;
+        return b.count > 0 && (
+          <rect
+            key={b.from}
+            className="reaction-bar"
+            x={(PAD_L + i * slot + 1).toFixed(1)}
+            y={(PAD_T + PLOT_H - h).toFixed(1)}
+            width={(slot - 2).toFixed(1)}
+            height={h.toFixed(1)}
+            rx="2"
+          >
+            <title>{b.to === null ? `${b.from}+ ms` : `${b.from}–${b.to} ms`}: {b.count} hit{b.count === 1 ? '' : 's'}</title>
+          </rect>
+        );
+      })}
+      {/* Median and p90 markers, clamped into the open-ended last bin */}
+      {[['median', stats.median], ['p90', stats.p90]].map(([id, ms]) => {
+        const px = Math.min(msX(ms), SVG_W - PAD_R);
+        return (
+          <g key={id} className={`reaction-marker reaction-marker--${id}`}>
+            <line x1={px.toFixed(1)} y1={PAD_T} x2={px.toFixed(1)} y2={PAD_T + PLOT_H} />
+            <text x={(px + 4).toFixed(1)} y={PAD_T + 8} className="chart-axis-label">{id}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// ─── Line plot (trend / fatigue) ────────────────────────────────────────────
+
+// `series`: [{ id, values }] sharing x positions — evenly spaced by index, or
+// at `xs` (one x per value, from 0) where gaps matter; `labelFor(i)` names x ticks
+function LinePlot({ series, count, xs = null, labelFor, labelEvery, highlight = null, ariaLabel }) {
+  const max  = niceMax(Math.max(...series.flatMap((s) => s.values), 1));
+  const maxX = xs ? Math.max(...xs) : count - 1;
+  const px   = (i) => PAD_L + (maxX <= 0 ? PLOT_W / 2 : ((xs ? xs[i] : i) / maxX) * PLOT_W);
+  const py   = (v) => PAD_T + PLOT_H - (v / max) * PLOT_H;
+  const xLabels = Array.from({ length: count }, (_, i) => i)
+    .filter((i) => i % labelEvery === 0 || i === count - 1)
+    .map((i) => ({ px: px(i), label: labelFor(i) }));
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="stats-chart" role="img" aria-label={ariaLabel}>
+      <Axes max={max} xLabels={xLabels} />
+      {series.map(({ id, values }) => (
+        <g key={id} className={`reaction-line reaction-line--${id}`}>
+          <polyline points={values.map((v, i) => `${px(i).toFixed(1)},${py(v).toFixed(1)}`).join(' ')} fill="none" />
+          {values.map((v, i) => (
+            <circle key={i} cx={px(i).toFixed(1)} cy={py(v).toFixed(1)} r={i === highlight ? 5 : 3} />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// ─── ReactionAnalytics ──────────────────────────────────────────────────────
+
+// `runs` are run summaries, newest first, already filtered by grid size
+function ReactionAnalytics({ runs }) {
+  const withHits = useMemo(() => runs.filter((r) => r.reactions?.length > 0), [runs]);
+  const [scope, setScope] = useState('all');  // 'all' | a run's timestamp
+
+  const selected = scope === 'all' ? null : withHits.find((r) => r.timestamp === scope) ?? null;
+  const scoped   = useMemo(() => (selected ? [selected] : withHits), [selected, withHits]);
+
+  const stats   = useMemo(() => (selected ? runReactionStats(selected) : poolReactionStats(withHits)), [selected, withHits]);
+  const bins    = useMemo(() => reactionHistogram(scoped), [scoped]);
+  const fatigue = useMemo(() => fatigueCurve(scoped), [scoped]);
+  const trend   = useMemo(() => reactionTrend(withHits.slice(0, TREND_RUNS)), [withHits]);
+  const trendHighlight = selected ? trend.findIndex((p) => p.timestamp === selected.timestamp) : null;
+  const consistency    = consistencyLabel(stats);
+
+  if (withHits.length === 0) {
+    return (
+      <div className="stats-chart-card">
+        <p className="stats-section-label">Reaction consistency</p>
+        <div className="chart-empty-state"><p>Land a few hits to see how your reaction times spread.</p></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="stats-chart-card reaction-analytics">
+      <div className="stats-chart-header">
+        <p className="stats-section-label" style={{ margin: 0 }}>Reaction consistency</p>
+        <select
+          className="select"
+          value={scope}
+          onChange={(e) => setScope(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+          aria-label="Show reaction times for"
+        >
+          <option value="all">All runs ({withHits.length})</option>
+          {withHits.slice(0, PICKER_RUNS).map((r) => <option key={r.timestamp} value={r.timestamp}>{runLabel(r)}</option>)}
+        </select>
+      </div>
+
+      <div className="stats-row stats-row--wrap">
+        <div className="stat-chip">
+          <span className="stat-chip__label">Median</span>
+          <span className="stat-chip__value">{fmtMs(stats?.median)}</span>
+        </div>
+        <div className="stat-chip">
+          <span className="stat-chip__label">p90</span>
+          <span className="stat-chip__value">{fmtMs(stats?.p90)}</span>
+        </div>
+        <div className="stat-chip">
+          <span className="stat-chip__label">Std dev</span>
+          <span className="stat-chip__value">{stats ? `±${stats.sd} ms` : '—'}</span>
+        </div>
+        <div className="stat-chip">
+          <span className="stat-chip__label">Hits</span>
+          <span className="stat-chip__value">{stats?.count ?? '—'}</span>
+        </div>
+        {consistency && (
+          <div className="stat-chip">
+            <span className="stat-chip__label">Pattern</span>
+            <span className="stat-chip__value">{consistency}</span>
+          </div>
+        )}
+      </div>
+
+      <p className="reaction-analytics__label">Distribution <span className="muted">· ms per hit</span></p>
+      <Histogram bins={bins} stats={stats} />
+
+      {trend.length > 1 && (
+        <>
+          <p className="reaction-analytics__label">
+            Over time <span className="muted">· last {trend.length} runs, </span>
+            <span className="reaction-key reaction-key--median">median</span>
+            <span className="reaction-key reaction-key--p90">p90</span>
+            <span className="reaction-key reaction-key--sd">std dev</span>
+          </p>
+          <LinePlot
+            series={[
+              { id: 'median', values: trend.map((p) => p.median) },
+              { id: 'p90',    values: trend.map((p) => p.p90) },
+              { id: 'sd',     values: trend.map((p) => p.sd) },
+            ]}
+            count={trend.length}
+            labelFor={(i) => new Date(trend[i].timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            labelEvery={Math.ceil(trend.length / 6)}
+            highlight={trendHighlight >= 0 ? trendHighlight : null}
+            ariaLabel="Median, p90 and standard deviation of reaction time per run"
+          />
+        </>
+      )}
+
+      {fatigue.length > 1 && (
+        <>
+          <p className="reaction-analytics__label">
+            Fatigue <span className="muted">· median reaction per {FATIGUE_BIN_S} s of play{selected ? '' : ', all runs pooled'}</span>
+          </p>
+          <LinePlot
+            series={[{ id: 'median', values: fatigue.map((w) => w.median) }]}
+            count={fatigue.length}
+            xs={fatigue.map((w) => w.s)}
+            labelFor={(i) => `${fatigue[i].s}s`}
+            labelEvery={Math.ceil(fatigue.length / 8)}
+            ariaLabel="Median reaction time against elapsed seconds of the run"
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ReactionAnalytics;
@@ -0,0 +1,132 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { frameAt, runDuration } from '../replay';
+
+const SPEEDS = [0.5, 1, 2];
+
+const formatClock = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// ─── ReplayViewer — plays a recorded run back on the arena grid ────────────
+
+function ReplayViewer({ run, onClose }) {
+  const log      = run.log || [];
+  const grid     = run.grid || { cols: 5, rows: 5 };
+  const duration = useMemo(() => runDuration(log), [log]);
+
+  const [playhead, setPlayhead] = useState(0);
+  const [playing, setPlaying]   = useState(true);
+  const [speed, setSpeed]       = useState(1);
+
+  const playheadRef = useRef(0);
+  const speedRef    = useRef(speed);
+
+  useEffect(() => { speedRef.current = speed; }, [speed]);
+
+  // Restart from the top whenever a different run is loaded
+  useEffect(() => {
+    playheadRef.current = 0;
+    setPlayhead(0);
+    setPlaying(true);
+  }, [run]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frameId;
+    let last = performance.now();
+    const step = (now) => {
+      const next = Math.min(duration, playheadRef.current + (now - last) * speedRef.current);
+      last = now;
+      playheadRef.current = next;
+      setPlayhead(next);
+      if (next >= duration) { setPlaying(false); return; }
+      frameId = requestAnimationFrame(step);
+    };
+    frameId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, duration]);
+
+  const frame = useMemo(() => frameAt(log, playhead), [log, playhead]);
+  const pauseMarks = useMemo(
+    () => log.filter((ev) => ev.type === 'pause').map((ev) => ev.t),
+    [log]
+  );
+
+  const seek = (ms) => {
+    playheadRef.current = ms;
+    setPlayhead(ms);
+  };
+
+  const togglePlay = () => {
+    if (!playing && playheadRef.current >= duration) seek(0);
+    setPlaying((v) => !v);
+  };
+
+  return (
+    <div className="replay-card">
+      <div className="stats-chart-header">
+        <p className="stats-section-label" style={{ margin: 0 }}>
+          Replay · {new Date(run.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}{' '}
+          <span className={`diff-badge diff-badge--${run.difficulty}`}>{run.difficulty}</span>
+        </p>
+        <button className="mini-btn ghost" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="replay-hud">
+        <span>Score <strong>{frame.score}</strong></span>
+        {frame.timeLeft !== null && <span>Time <strong>{frame.timeLeft.toFixed(1)}s</strong></span>}
+        {frame.lives !== null && <span>Lives <strong>{frame.lives}</strong></span>}
+        <span>Streak <strong>{frame.streak}</strong></span>
+        <span>Last snap <strong>{frame.lastReaction != null ? `${frame.lastReaction} ms` : '—'}</strong></span>
+      </div>
+
+      <div
+        className="arena arena--replay"
+        style={{ gridTemplateColumns: `repeat(${grid.cols}, minmax(0, 1fr))` }}
+      >
+        {[...Array(grid.cols * grid.rows)].map((_, idx) => (
+          <div
+            key={idx}
+            className={[
+              'cell',
+              idx === frame.activeCell ? 'cell--active' : '',
+              idx === frame.hazardCell ? 'cell--hazard' : '',
+              frame.flashes[idx]       ? `cell--flash-${frame.flashes[idx]}` : '',
+            ].join(' ').trim()}
+          />
+        ))}
+      </div>
+
+      <div className="replay-controls">
+        <button className="mini-btn" onClick={togglePlay}>{playing ? 'Pause' : 'Play'}</button>
+        <div className="replay-scrubber">
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={10}
+            value={playhead}
+            onChange={(e) => seek(Number(e.target.value))}
+            aria-label="Replay position"
+          />
+          {pauseMarks.map((t) => (
+            <span
+              key={`pause-${t}`}
+              className="replay-mark"
+              style={{ left: `${duration > 0 ? (t / duration) * 100 : 0}%` }}
+              title={`Paused at ${formatClock(t)}`}
+            />
+          ))}
+        </div>
+        <span className="replay-clock">{formatClock(playhead)} / {formatClock(duration)}</span>
+        <div className="segmented">
+          {SPEEDS.map((s) => (
+            <button key={s} className={speed === s ? 'active' : ''} onClick={() => setSpeed(s)}>
+              {s}x
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReplayViewer;
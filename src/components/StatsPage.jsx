@@ -1,8 +1,10 @@
-import React, { useState, useMemo } from 'react';
-
-const HISTORY_KEY = 'arcade_arena_history';
-const RUNS_KEY    = 'arcade_arena_runs';
-const PB_KEY      = 'arcade_arena_pb';
+import React, { useEffect, useMemo, useState } from 'react';
+import { readHistory, readPersonalBest, readRun, readRunSummaries, recordKey } from '../storage';
+import { DIFFICULTY, GRID_SIZES } from '../engine';
+import ReplayViewer from './ReplayViewer';
+import BackupPanel from './BackupPanel';
+import ReactionAnalytics from './ReactionAnalytics';
+import TileHeatmap from './TileHeatmap';
 
 // ─── SVG chart constants ────────────────────────────────────────────────────
 const SVG_W  = 560;
@@ -37,29 +39,50 @@ const buildPath = (points) => {
 
 // ─── helpers ────────────────────────────────────────────────────────────────
 
-const readHistory = () => {
-  try { return JSON.parse(localStorage.getItem(HISTORY_KEY) || '{}'); }
-  catch { return {}; }
-};
-
-const readRuns = () => {
-  try { return JSON.parse(localStorage.getItem(RUNS_KEY) || '[]'); }
-  catch { return []; }
-};
-
 // Returns array of { dateStr, label, score|null } for the last N days, oldest first
-const buildChartDays = (history, days = 14) => {
+const buildChartDays = (history, days = 14, difficulty = 'normal') => {
   const result = [];
   for (let i = days - 1; i >= 0; i--) {
     const d   = new Date(Date.now() - i * 86_400_000);
     const key = d.toISOString().split('T')[0];
     const lbl = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const entry = history[key];
+    const entry = history[key]?.byDifficulty?.[difficulty];
     result.push({ key, label: lbl, score: entry ? entry.score : null, games: entry ? entry.games : 0 });
   }
   return result;
 };
 
+// Runs recorded before grid sizes were selectable only carry `grid`, if anything
+const runGridSize = (run) => run.gridSize ?? run.grid?.cols ?? null;
+
+const runDate = (run) => run.date ?? new Date(run.timestamp).toISOString().split('T')[0];
+
+// ─── Runs table ─────────────────────────────────────────────────────────────
+
+const RUNS_PER_PAGE = 20;
+
+// Sortable columns; `value` returns null for runs without the stat
+const RUN_COLUMNS = [
+  { id: 'date',       label: 'Date',      value: (r) => r.timestamp },
+  { id: 'mode',       label: 'Mode',      value: null },
+  { id: 'grid',       label: 'Grid',      value: runGridSize },
+  { id: 'score',      label: 'Score',     value: (r) => r.score },
+  { id: 'accuracy',   label: 'Accuracy',  value: (r) => r.accuracy ?? null },
+  { id: 'fastestHit', label: 'Best snap', value: (r) => r.fastestHit ?? null },
+  { id: 'maxStreak',  label: 'Streak',    value: (r) => r.maxStreak ?? null },
+];
+
+// Missing values sort last in either direction
+const sortRuns = (runs, { column, dir }) => {
+  const value = RUN_COLUMNS.find((c) => c.id === column).value;
+  const sign  = dir === 'asc' ? 1 : -1;
+  return [...runs].sort((a, b) => {
+    const va = value(a), vb = value(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (va - vb) * sign || b.timestamp - a.timestamp;
+  });
+};
+
 // ─── LineChart component ────────────────────────────────────────────────────
 
 function LineChart({ days }) {
@@ -194,13 +217,70 @@ function LineChart({ days }) {
 
 // ─── StatsPage ───────────────────────────────────────────────────────────────
 
-function StatsPage() {
-  const history     = useMemo(readHistory, []);
-  const runs        = useMemo(readRuns,    []);
-  const allTimeBest = parseInt(localStorage.getItem(PB_KEY) || '0', 10);
+function StatsPage({ mode = 'solo', difficulty = 'normal', gridSize = 5 }) {
+  const [history, setHistory] = useState({});
+  const [allRuns, setAllRuns] = useState([]);   // summaries, no replay logs
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);  // set when neither IndexedDB nor localStorage could be read
+  const [gridFilter, setGridFilter] = useState(gridSize); // number | 'all'
+
+  useEffect(() => {
+    let cancelled = false;
+    readHistory().then((hist) => { if (!cancelled) setHistory(hist); });
+    readRunSummaries().then(
+      (runList) => { if (!cancelled) setAllRuns(runList); },
+      (err) => { if (!cancelled) setLoadError(err?.message || 'storage unavailable'); },
+    ).finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const runs = useMemo(
+    () => (gridFilter === 'all' ? allRuns : allRuns.filter((r) => runGridSize(r) === gridFilter)),
+    [allRuns, gridFilter]
+  );
+  // Best and chart follow the selected mode's records (see recordKey) on the
+  // filtered grid, or the one being played when showing all
+  const bestGrid    = gridFilter === 'all' ? gridSize : gridFilter;
+  const bestKey     = recordKey(mode, difficulty, bestGrid);
+  const allTimeBest = readPersonalBest(bestKey);
 
   const [chartDays, setChartDays] = useState(14);
-  const days = useMemo(() => buildChartDays(history, chartDays), [history, chartDays]);
+  const [replayRun, setReplayRun] = useState(null);
+
+  // ── Runs table: filters, sort, page ──────────────────────────────────────
+  const [diffFilter, setDiffFilter] = useState('all');
+  const [fromDate, setFromDate]     = useState('');
+  const [toDate, setToDate]         = useState('');
+  const [sort, setSort]             = useState({ column: 'date', dir: 'desc' });
+  const [page, setPage]             = useState(0);
+
+  const tableRuns = useMemo(() => sortRuns(runs.filter((r) => {
+    if (diffFilter !== 'all' && (r.difficulty || 'normal') !== diffFilter) return false;
+    const date = runDate(r);
+    return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+  }), sort), [runs, diffFilter, fromDate, toDate, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(tableRuns.length / RUNS_PER_PAGE));
+  const pageIdx   = Math.min(page, pageCount - 1);
+  const pageRuns  = tableRuns.slice(pageIdx * RUNS_PER_PAGE, (pageIdx + 1) * RUNS_PER_PAGE);
+  const filtered  = diffFilter !== 'all' || fromDate || toDate;
+
+  // Any change to what's listed starts over at the first page
+  useEffect(() => { setPage(0); }, [gridFilter, diffFilter, fromDate, toDate, sort]);
+
+  const toggleSort = (column) => setSort((prev) => (prev.column === column
+    ? { column, dir: prev.dir === 'asc' ? 'desc' : 'asc' }
+    : { column, dir: column === 'fastestHit' ? 'asc' : 'desc' }));  // best first
+
+  const openReplay = async (summary) => {
+    if (replayRun?.timestamp === summary.timestamp) return;
+    const run = await readRun(summary.timestamp);
+    if (run?.log?.length > 0) setReplayRun(run);
+  };
+  const days = useMemo(
+    () => buildChartDays(history, chartDays, bestKey),
+    [history, chartDays, bestKey]
+  );
 
   // ── Summary stats ────────────────────────────────────────────────────────
   const totalGames = useMemo(() => {
@@ -267,12 +347,29 @@ function StatsPage() {
 
   return (
     <div className="stats-page">
-      <h2 className="stats-page__title">Performance</h2>
+      <div className="stats-chart-header">
+        <h2 className="stats-page__title">Performance</h2>
+        <select
+          className="select"
+          value={gridFilter}
+          onChange={(e) => setGridFilter(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+          aria-label="Filter runs by grid size"
+        >
+          <option value="all">All grids</option>
+          {GRID_SIZES.map((n) => <option key={n} value={n}>{n}×{n}</option>)}
+        </select>
+      </div>
+
+      {loadError && (
+        <p className="stats-load-error" role="alert">
+          Saved runs couldn't be loaded ({loadError}), so run stats are empty. Daily history is unaffected.
+        </p>
+      )}
 
       {/* ── Summary chips ── */}
       <div className="stats-row stats-row--wrap">
         <div className="stat-chip">
-          <span className="stat-chip__label">All-time best</span>
+          <span className="stat-chip__label">All-time best · {difficulty} {bestGrid}×{bestGrid}</span>
           <span className="stat-chip__value">{allTimeBest || '—'}</span>
         </div>
         <div className="stat-chip">
@@ -294,7 +391,10 @@ function StatsPage() {
       {/* ── Line chart ── */}
       <div className="stats-chart-card">
         <div className="stats-chart-header">
-          <p className="stats-section-label" style={{ margin: 0 }}>Daily best score</p>
+          <p className="stats-section-label" style={{ margin: 0 }}>
+            Daily best score <span className={`diff-badge diff-badge--${difficulty}`}>{difficulty}</span>
+            <span className="muted"> · {bestGrid}×{bestGrid}</span>
+          </p>
           <div className="segmented">
             <button className={chartDays === 14 ? 'active' : ''} onClick={() => setChartDays(14)}>14d</button>
             <button className={chartDays === 30 ? 'active' : ''} onClick={() => setChartDays(30)}>30d</button>
@@ -336,50 +436,126 @@ function StatsPage() {
         </div>
       </div>
 
-      {/* ── Recent runs table ── */}
+      {/* ── Reaction distribution ── */}
+      <ReactionAnalytics runs={runs} />
+
+      {/* ── Blind spots by tile ── */}
+      <TileHeatmap runs={runs} preferredSize={gridFilter === 'all' ? gridSize : gridFilter} />
+
+      {/* ── Replay viewer ── */}
+      {replayRun && <ReplayViewer run={replayRun} onClose={() => setReplayRun(null)} />}
+
+      {/* ── Runs table ── */}
       <div className="stats-runs-card">
-        <p className="stats-section-label">Recent runs</p>
-        {runs.length === 0 ? (
+        <div className="stats-chart-header">
+          <p className="stats-section-label" style={{ margin: 0 }}>
+            Runs {tableRuns.length > 0 && <span className="muted">· {tableRuns.length}</span>}
+          </p>
+          <div className="runs-filters">
+            <select
+              className="select"
+              value={diffFilter}
+              onChange={(e) => setDiffFilter(e.target.value)}
+              aria-label="Filter runs by difficulty"
+            >
+              <option value="all">All difficulties</option>
+              {Object.keys(DIFFICULTY).map((d) => <option key={d} value={d}>{d}</option>)}
+              <option value="custom">custom</option>
+            </select>
+            <label className="runs-filters__date">
+              <span>From</span>
+              <input type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} />
+            </label>
+            <label className="runs-filters__date">
+              <span>To</span>
+              <input type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} />
+            </label>
+            {filtered && (
+              <button type="button" className="mini-btn ghost" onClick={() => { setDiffFilter('all'); setFromDate(''); setToDate(''); }}>
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+        {tableRuns.length === 0 ? (
           <p className="muted" style={{ padding: '16px 0', textAlign: 'center' }}>
-            No runs recorded yet. Play a game!
+            {loading ? 'Loading runs…'
+              : loadError ? "Couldn't load runs."
+              : allRuns.length === 0 ? 'No runs recorded yet. Play a game!'
+              : filtered ? 'No runs match these filters.'
+              : 'No runs on this grid size yet.'}
           </p>
         ) : (
           <div className="stats-table-wrap">
             <table className="stats-table">
               <thead>
                 <tr>
-                  <th>Date</th>
-                  <th>Mode</th>
-                  <th>Score</th>
-                  <th>Accuracy</th>
-                  <th>Best snap</th>
-                  <th>Streak</th>
+                  {RUN_COLUMNS.map((col) => (col.value ? (
+                    <th
+                      key={col.id}
+                      aria-sort={sort.column === col.id ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button type="button" className="stats-table__sort" onClick={() => toggleSort(col.id)}>
+                        {col.label}
+                        {sort.column === col.id && <span aria-hidden="true">{sort.dir === 'asc' ? ' ▲' : ' ▼'}</span>}
+                      </button>
+                    </th>
+                  ) : <th key={col.id}>{col.label}</th>))}
+                  <th aria-label="Replay" />
                 </tr>
               </thead>
               <tbody>
-                {runs.map((run, idx) => (
-                  <tr key={`${run.timestamp}-${idx}`}>
+                {pageRuns.map((run) => (
+                  <tr key={run.timestamp}>
                     <td>
                       {new Date(run.timestamp).toLocaleDateString('en-US', {
-                        month: 'short', day: 'numeric',
+                        month: 'short', day: 'numeric', year: 'numeric',
                       })}
                     </td>
                     <td>
                       <span className={`diff-badge diff-badge--${run.difficulty}`}>
                         {run.difficulty}
                       </span>
+                      {run.mode && run.mode !== 'solo' && (
+                        <span className={`diff-badge diff-badge--mode diff-badge--${run.mode}`}>{run.mode}</span>
+                      )}
                     </td>
+                    <td>{runGridSize(run) ? `${runGridSize(run)}×${runGridSize(run)}` : '—'}</td>
                     <td className="stats-table__score">{run.score}</td>
                     <td>{run.accuracy != null ? `${run.accuracy}%` : '—'}</td>
                     <td>{run.fastestHit != null ? `${run.fastestHit} ms` : '—'}</td>
                     <td>{run.maxStreak ?? '—'}</td>
+                    <td>
+                      {run.hasLog && (
+                        <button
+                          className={`mini-btn${replayRun?.timestamp === run.timestamp ? '' : ' ghost'}`}
+                          onClick={() => openReplay(run)}
+                        >
+                          Replay
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
         )}
+        {pageCount > 1 && (
+          <div className="runs-pager">
+            <button type="button" className="mini-btn ghost" disabled={pageIdx === 0} onClick={() => setPage(pageIdx - 1)}>
+              ← Prev
+            </button>
+            <span className="muted">Page {pageIdx + 1} of {pageCount}</span>
+            <button type="button" className="mini-btn ghost" disabled={pageIdx >= pageCount - 1} onClick={() => setPage(pageIdx + 1)}>
+              Next →
+            </button>
+          </div>
+        )}
       </div>
+
+      {/* ── Export / import ── */}
+      <BackupPanel />
     </div>
   );
 }
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { heatmapSizes, tileHeatmap, tileName } from '../analytics';
+
+// ─── TileHeatmap — miss rate or reaction time per tile position ─────────────
+
+const METRICS = [
+  { id: 'missRate',    label: 'Miss rate' },
+  { id: 'avgReaction', label: 'Reaction' },
+];
+
+// Too few samples make a tile look worse than it is
+const MIN_TARGETS = 5;
+const MIN_HITS    = 3;
+
+const trusted = (tile, metric) =>
+  (metric === 'missRate' ? tile.targets >= MIN_TARGETS : tile.hits >= MIN_HITS) && tile[metric] != null;
+
+const formatValue = (tile, metric) => {
+  if (tile[metric] == null) return '—';
+  return metric === 'missRate' ? `${Math.round(tile.missRate * 100)}%` : `${tile.avgReaction}`;
+};
+
+const tileTitle = (tile, size) => [
+  tileName(tile.cell, size),
+  `${tile.targets} target${tile.targets === 1 ? '' : 's'}, ${tile.misses} missed`,
+  tile.avgReaction != null ? `avg reaction ${tile.avgReaction} ms` : null,
+  tile.stray > 0 ? `${tile.stray} stray tap${tile.stray === 1 ? '' : 's'}` : null,
+].filter(Boolean).join(' · ');
+
+// `runs` are the Stats page's run summaries (any mix of grid sizes); each size
+// gets its own map, `preferredSize` first when it has data
+function TileHeatmap({ runs, preferredSize }) {
+  const sizes = useMemo(() => heatmapSizes(runs), [runs]);
+  const [metric, setMetric] = useState('missRate');
+  const [picked, setPicked] = useState(null);  // grid size chosen in the picker
+  const size = sizes.includes(picked) ? picked : sizes.includes(preferredSize) ? preferredSize : sizes[0];
+
+  const tiles = useMemo(() => (size ? tileHeatmap(runs, size) : []), [runs, size]);
+
+  // Shade relative to this grid's own spread: darker is worse
+  const { shade, worst } = useMemo(() => {
+    const rated = tiles.filter((t) => trusted(t, metric));
+    const values = rated.map((t) => t[metric]);
+    const lo = metric === 'missRate' ? 0 : Math.min(...values);
+    const hi = Math.max(...values);
+    return {
+      shade: (tile) => (trusted(tile, metric) ? (hi > lo ? (tile[metric] - lo) / (hi - lo) : 0) : null),
+      worst: rated.length > 1 && hi > lo ? rated.reduce((a, b) => (b[metric] > a[metric] ? b : a)) : null,
+    };
+  }, [tiles, metric]);
+
+  if (!size) {
+    return (
+      <div className="stats-chart-card">
+        <p className="stats-section-label">Tile heatmap</p>
+        <div className="chart-empty-state"><p>Play a run to see where on the grid you're slow or miss.</p></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="stats-chart-card tile-heatmap">
+      <div className="stats-chart-header">
+        <p className="stats-section-label" style={{ margin: 0 }}>Tile heatmap</p>
+        <div className="tile-heatmap__controls">
+          {sizes.length > 1 && (
+            <select className="select" value={size} onChange={(e) => setPicked(Number(e.target.value))} aria-label="Heatmap grid size">
+              {sizes.map((n) => <option key={n} value={n}>{n}×{n}</option>)}
+            </select>
+          )}
+          <div className="segmented">
+            {METRICS.map((m) => (
+              <button key={m.id} className={metric === m.id ? 'active' : ''} onClick={() => setMetric(m.id)}>{m.label}</button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div
+        className="tile-heatmap__grid"
+        style={{ gridTemplateColumns: `repeat(${size}, minmax(0, 1fr))` }}
+        role="img"
+        aria-label={`${size}×${size} grid, ${metric === 'missRate' ? 'miss rate' : 'average reaction in ms'} per tile`}
+      >
+        {tiles.map((tile) => {
+          const level = shade(tile);
+          return (
+            <div
+              key={tile.cell}
+              className={`tile-heatmap__cell${level === null ? ' tile-heatmap__cell--sparse' : ''}${tile === worst ? ' tile-heatmap__cell--worst' : ''}`}
+              style={level === null ? undefined : { '--heat': level.toFixed(3) }}
+              title={tileTitle(tile, size)}
+            >
+              {formatValue(tile, metric)}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="muted small-hint tile-heatmap__note">
+        {worst
+          ? `Weakest spot: ${tileName(worst.cell, size)} — ${metric === 'missRate'
+            ? `${Math.round(worst.missRate * 100)}% of targets missed`
+            : `${worst.avgReaction} ms average`}.`
+          : 'Not enough data per tile yet to call out a weak spot.'}
+        {' '}Faded tiles have fewer than {metric === 'missRate' ? `${MIN_TARGETS} targets` : `${MIN_HITS} hits`}.
+      </p>
+    </div>
+  );
+}
+
+export default TileHeatmap;
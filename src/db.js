@@ -0,0 +1,79 @@
+// ─── IndexedDB ──────────────────────────────────────────────────────────────
+// For data too big for localStorage. One database, versioned by the stores
+// it holds:
+//   v1  tracks   user audio files { id, title, artist, type, size, addedAt, melody, beat, blob }
+//   v2  runs     run records keyed by `timestamp` (see storage.js), indexed by date
+//       history  daily bests keyed by `date`: { date, score, games, byDifficulty }
+//   v3  runSummaries  each run without its replay log, keyed by `timestamp` —
+//                     written with the run, so stats never read the logs
+
+const DB_NAME    = 'arcade_arena';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) db.createObjectStore('tracks', { keyPath: 'id' });
+  if (oldVersion < 2) {
+    db.createObjectStore('runs', { keyPath: 'timestamp' }).createIndex('date', 'date');
+    db.createObjectStore('history', { keyPath: 'date' });
+  }
+  if (oldVersion < 3) db.createObjectStore('runSummaries', { keyPath: 'timestamp' });
+};
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+      req.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+    // Let a later call retry instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+export const settle = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror   = () => reject(req.error);
+});
+
+// Runs `fn(store)` in a transaction and resolves once it commits. Given a
+// list of store names, `fn` gets one store per name in one transaction.
+export const withStore = async (names, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    let result;
+    Promise.resolve(fn(...[].concat(names).map((name) => tx.objectStore(name)))).then((r) => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error ?? new Error('Transaction aborted'));
+  });
+};
+
+// ─── tracks ─────────────────────────────────────────────────────────────────
+
+// Metadata only — blobs are loaded one at a time when a track is picked
+export const listUserTracks = () => withStore('tracks', 'readonly', async (store) => {
+  const all = await settle(store.getAll());
+  return all
+    .map((track) => { const meta = { ...track }; delete meta.blob; return meta; })
+    .sort((a, b) => a.addedAt - b.addedAt);
+});
+
+export const getUserTrackBlob = (id) => withStore('tracks', 'readonly', async (store) =>
+  (await settle(store.get(id)))?.blob ?? null);
+
+export const putUserTrack = (track) => withStore('tracks', 'readwrite', (store) => settle(store.put(track)));
+
+export const updateUserTrack = (id, patch) => withStore('tracks', 'readwrite', async (store) => {
+  const current = await settle(store.get(id));
+  if (current) await settle(store.put({ ...current, ...patch, id }));
+});
+
+export const deleteUserTrack = (id) => withStore('tracks', 'readwrite', (store) => settle(store.delete(id)));
@@ -0,0 +1,361 @@
+// ─── Game engine ────────────────────────────────────────────────────────────
+// The rules of a run — pacing, scoring, time bank, hazards, streaks — with no
+// React or DOM dependency, so they can run in Node for tests, simulations and
+// server-side verification.
+//
+// State is plain, serializable data (the PRNGs included). Every transition
+// takes the current state plus the run clock `now` (ms of active play) and
+// returns { state, events }: a new state and the log entries it produced
+// (see replay.js for the event shapes). The input state is never mutated.
+
+import { nextRandom } from './rng.js';  // explicit extension keeps this importable from plain Node (see test/)
+
+// ─── Difficulty presets ─────────────────────────────────────────────────────
+export const DIFFICULTY = {
+  normal: {
+    startTime: 30, missPenalty: 4, hazardChance: 0,
+    timeRewardCap: 50, paceBase: 1900, paceFloor: 900,
+    paceScoreFactor: 4.5, paceStreakFactor: 9,
+    rewardBonus: 0.8, rewardFloor: 0.55, rewardSlope: 940, rewardStreakFactor: 0.012,
+    minGain: 1.1, wrongClickPenalty: 1.4,
+  },
+  hard: {
+    startTime: 25, missPenalty: 4.5, hazardChance: 0.08,
+    timeRewardCap: 40, paceBase: 1500, paceFloor: 700,
+    paceScoreFactor: 6.5, paceStreakFactor: 12,
+    rewardBonus: 0.65, rewardFloor: 0.38, rewardSlope: 900, rewardStreakFactor: 0.018,
+    minGain: 0.85, wrongClickPenalty: 1.6,
+  },
+  extreme: {
+    startTime: 20, missPenalty: 5, hazardChance: 0.14,
+    timeRewardCap: 34, paceBase: 1250, paceFloor: 550,
+    paceScoreFactor: 8.5, paceStreakFactor: 15,
+    rewardBonus: 0.55, rewardFloor: 0.32, rewardSlope: 860, rewardStreakFactor: 0.023,
+    minGain: 0.75, wrongClickPenalty: 1.9,
+  },
+};
+
+export const HAZARD_SCORE_PENALTY = 10;
+
+// Square arenas from 3x3 up to 8x8; each size is ranked separately
+export const GRID_SIZES = [3, 4, 5, 6, 7, 8];
+
+// ─── Mode rules ─────────────────────────────────────────────────────────────
+// timer: 'bank'  — the difficulty's time bank, topped up by hits, drained by misses
+//        'fixed' — a flat `duration`-second countdown that nothing adds to or takes from
+//        null    — no clock; the run ends on lives (Survival) or when the player stops (Zen)
+// beats: true — targets spawn on the track's beat grid (Rhythm, see `beat` in startGame)
+export const MODE_RULES = {
+  solo:     { timer: 'bank',  ranked: true },
+  daily:    { timer: 'bank',  ranked: true },
+  sprint:   { timer: 'fixed', ranked: true, duration: 60 },
+  survival: { timer: null,    ranked: true, lives: 3, hazardFloor: 0.06, hazardRamp: 0.004, hazardCap: 0.4 },
+  zen:      { timer: null,    ranked: false },
+  rhythm:   { timer: 'fixed', ranked: false, duration: 60, beats: true },
+};
+
+export const modeRules = (mode) => MODE_RULES[mode] ?? MODE_RULES.solo;
+
+// Survival adds decoys as the run goes on, whatever the difficulty starts with
+export const hazardChance = (settings, rules, hits) => (rules.hazardRamp
+  ? Math.min(rules.hazardCap, Math.max(settings.hazardChance, rules.hazardFloor) + hits * rules.hazardRamp)
+  : settings.hazardChance);
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+// ─── Beat grid (Rhythm) ─────────────────────────────────────────────────────
+// Beats fall at offset + k·interval ms of run clock (k ≥ 0); the track starts
+// playing at run clock 0, so these line up with the music.
+
+// Timing grades by distance from the nearest beat; outside `great` a tap is
+// early or late and earns no timing bonus
+export const BEAT_WINDOWS = { perfect: 45, great: 100 };
+export const BEAT_BONUS   = { perfect: 20, great: 10, early: 0, late: 0 };
+
+export const beatGrid = ({ bpm, offset = 0 }) => ({ interval: 60000 / bpm, offset });
+
+// First beat strictly after `t`
+export const nextBeat = (beat, t) =>
+  beat.offset + Math.max(0, Math.floor((t - beat.offset) / beat.interval) + 1) * beat.interval;
+
+// Signed ms from the nearest beat to `t` (negative = ahead of it)
+export const beatOffset = (beat, t) =>
+  t - (beat.offset + Math.max(0, Math.round((t - beat.offset) / beat.interval)) * beat.interval);
+
+export const beatGrade = (off) => {
+  if (Math.abs(off) <= BEAT_WINDOWS.perfect) return 'perfect';
+  if (Math.abs(off) <= BEAT_WINDOWS.great)   return 'great';
+  return off > 0 ? 'late' : 'early';
+};
+
+// How long a target stays up, shrinking with score and streak
+export const paceWindow = (settings, score, streak) =>
+  Math.max(settings.paceFloor, settings.paceBase - score * settings.paceScoreFactor - streak * settings.paceStreakFactor);
+
+export const pickCell = (previous, banned = [], count, rng = Math.random) => {
+  const disallow = new Set([previous, ...banned]);
+  let attempts = 0, next = previous;
+  while (disallow.has(next) && attempts < 40) { next = Math.floor(rng() * count); attempts++; }
+  return next;
+};
+
+// ─── internal helpers (operate on a private working copy) ───────────────────
+
+// Tiles and hazards draw from separate streams so the target sequence for a
+// given seed is identical on every difficulty, with or without hazards.
+const streamFor = (s, name) => () => {
+  const [value, next] = nextRandom(s.rng[name]);
+  s.rng[name] = next;
+  return value;
+};
+
+const emit = (s, events, type, data = {}) => { events.push({ t: s.clock, type, ...data }); };
+
+const end = (s, events) => {
+  if (s.over) return;
+  s.over = true;
+  s.activeCell = null;
+  s.hazardCell = null;
+  emit(s, events, 'end', { score: s.score });
+};
+
+const spawn = (s, events) => {
+  const tile   = streamFor(s, 'tile');
+  const hazard = streamFor(s, 'hazard');
+  const next = pickCell(s.activeCell ?? -1, [], s.cellCount, tile);
+  const chance = hazardChance(s.settings, modeRules(s.mode), s.hits);
+  s.hazardCell = hazard() < chance ? pickCell(next, [next], s.cellCount, hazard) : null;
+  s.activeCell = next;
+  s.spawnedAt  = s.clock;
+  s.cueAt      = null;
+  s.window     = paceWindow(s.settings, s.score, s.streak);
+  // On the beat grid a target lasts whole beats, plus the `great` window so
+  // tapping on its last beat still counts
+  if (s.beat) {
+    s.window = Math.round(Math.max(1, Math.round(s.window / s.beat.interval)) * s.beat.interval + BEAT_WINDOWS.great);
+  }
+  s.expiresAt  = s.clock + s.window;
+  emit(s, events, 'spawn', { cell: next, hazard: s.hazardCell, window: s.window });
+};
+
+// The next target: straight away, or on the next beat in Rhythm. A tap just
+// after a beat still counts as on it, so the stream carries on without a rest.
+const queueSpawn = (s, events) => {
+  if (!s.beat) { spawn(s, events); return; }
+  const cue = nextBeat(s.beat, s.clock - BEAT_WINDOWS.perfect);
+  if (cue <= s.clock) { spawn(s, events); return; }
+  s.activeCell = null;
+  s.hazardCell = null;
+  s.expiresAt  = Infinity;
+  s.cueAt      = cue;
+};
+
+// Bonuses and penalties move the deadline, in whole ms, rather than the
+// seconds left, so where the run ends never depends on how often it was ticked
+const adjustTime = (s, events, delta) => {
+  if (modeRules(s.mode).timer !== 'bank') return;
+  s.endsAt = s.clock + Math.round(clamp(s.timeLeft + delta, 0, s.settings.timeRewardCap) * 1000);
+  const newTime = (s.endsAt - s.clock) / 1000;
+  emit(s, events, 'time', { delta: +(newTime - s.timeLeft).toFixed(2), time: +newTime.toFixed(2) });
+  s.timeLeft = newTime;
+  if (s.endsAt <= s.clock) end(s, events);
+};
+
+// Survival only — every other mode runs with lives === null
+const loseLife = (s, events) => {
+  if (s.lives === null) return;
+  s.lives -= 1;
+  emit(s, events, 'life', { lives: s.lives });
+  if (s.lives <= 0) end(s, events);
+};
+
+// Runs the clock forward to `to` without resolving tile expiry. `timeLeft` is
+// read off the deadline, never drained step by step.
+const countdown = (s, events, to) => {
+  if (to <= s.clock) return;
+  s.clock = to;
+  if (s.endsAt === null) return;
+  s.timeLeft = Math.max(0, (s.endsAt - s.clock) / 1000);
+  if (s.endsAt <= s.clock) end(s, events);
+};
+
+const resolveMiss = (s, events) => {
+  emit(s, events, 'miss', { cell: s.activeCell });
+  s.streak = 0;
+  s.misses += 1;
+  adjustTime(s, events, -s.settings.missPenalty);
+  loseLife(s, events);
+  if (!s.over) queueSpawn(s, events);
+};
+
+// Advances to `now`, resolving each expired target and queued beat spawn at
+// the moment it fell due
+const advance = (s, events, now) => {
+  while (!s.over) {
+    if (s.cueAt !== null && s.cueAt <= now) {
+      countdown(s, events, s.cueAt);
+      if (!s.over) spawn(s, events);
+    } else if (s.expiresAt <= now) {
+      countdown(s, events, s.expiresAt);
+      if (!s.over) resolveMiss(s, events);
+    } else {
+      break;
+    }
+  }
+  if (!s.over) countdown(s, events, now);
+};
+
+const transition = (state, fn) => {
+  const s = { ...state, rng: { ...state.rng } };
+  const events = [];
+  fn(s, events);
+  return { state: s, events };
+};
+
+// ─── public transitions ─────────────────────────────────────────────────────
+
+const startingTime = (settings, rules) => {
+  if (rules.timer === 'bank')  return settings.startTime;
+  if (rules.timer === 'fixed') return rules.duration;
+  return null;
+};
+
+const startingDeadline = (settings, rules, now) => {
+  const time = startingTime(settings, rules);
+  return time === null ? null : now + time * 1000;
+};
+
+// `beat` ({ bpm, offset }) is the track's beat grid, used by modes with `beats`
+export const startGame = ({ settings, seed, cellCount, mode = 'solo', beat = null, now = 0 }) => transition({
+  settings,
+  cellCount,
+  seed,
+  mode,
+  beat:          modeRules(mode).beats && beat?.bpm > 0 ? beatGrid(beat) : null,
+  rng:           { tile: seed >>> 0, hazard: (seed ^ 0x9e3779b9) >>> 0 },
+  clock:         now,
+  timeLeft:      startingTime(settings, modeRules(mode)),
+  endsAt:        startingDeadline(settings, modeRules(mode), now),  // run clock (ms) the timer runs out at
+  lives:         modeRules(mode).lives ?? null,
+  score:         0,
+  streak:        0,
+  maxStreak:     0,
+  hits:          0,
+  misses:        0,
+  fastestHit:    null,
+  totalReaction: 0,
+  activeCell:    null,
+  hazardCell:    null,
+  spawnedAt:     now,
+  window:        paceWindow(settings, 0, 0),
+  expiresAt:     Infinity,
+  cueAt:         null,     // Rhythm: when the next target appears
+  grades:        null,     // Rhythm: hit count per timing grade
+  over:          false,
+}, (s, events) => {
+  if (s.beat) s.grades = { perfect: 0, great: 0, early: 0, late: 0 };
+  emit(s, events, 'start', {
+    time: s.timeLeft,
+    ...(s.lives !== null ? { lives: s.lives } : {}),
+    ...(s.beat ? { beat: s.beat } : {}),
+  });
+  queueSpawn(s, events);
+});
+
+// Moves the clock to `now`: drains the time bank and expires overdue targets
+export const tick = (state, now) => transition(state, (s, events) => {
+  if (!s.over) advance(s, events, now);
+});
+
+// The active target timed out (normally resolved by `tick`)
+export const miss = (state, now) => transition(state, (s, events) => {
+  if (s.over) return;
+  countdown(s, events, now);
+  if (!s.over) resolveMiss(s, events);
+});
+
+// A tap on `cell` at `now` — correct target, hazard decoy or wrong tile
+export const hit = (state, cell, now) => transition(state, (s, events) => {
+  if (s.over) return;
+  advance(s, events, now);
+  if (s.over) return;
+  const { settings } = s;
+  // A tap stamped before the last frame tick is logged at the tick; keep how
+  // far behind it was so a replay can feed the engine the same input
+  const lag  = Math.max(0, Math.round(s.clock - now));
+  const tap  = lag > 0 ? { lag } : {};
+
+  // ── Hazard tile ──
+  if (cell === s.hazardCell) {
+    s.hazardCell = null;
+    s.streak = 0;
+    s.misses += 1;
+    s.score = Math.max(s.score - HAZARD_SCORE_PENALTY, 0);
+    emit(s, events, 'hazard', { cell, score: s.score, ...tap });
+    adjustTime(s, events, -(settings.missPenalty + 1));
+    loseLife(s, events);
+    if (!s.over) queueSpawn(s, events);
+    return;
+  }
+
+  // ── Wrong tile ── (includes any tap while Rhythm waits for the next beat)
+  if (cell !== s.activeCell) {
+    s.streak = 0;
+    s.misses += 1;
+    emit(s, events, 'wrong', { cell, ...tap });
+    adjustTime(s, events, -(settings.wrongClickPenalty ?? 2.5));
+    return;
+  }
+
+  // ── Correct hit ──
+  // Input timestamps can trail the last frame tick by a few ms; measure from
+  // the tap itself, but never from before the target appeared
+  const reaction = Math.round(Math.max(now, s.spawnedAt) - s.spawnedAt);
+  s.hits += 1;
+  s.totalReaction += reaction;
+  if (s.fastestHit === null || reaction < s.fastestHit) s.fastestHit = reaction;
+
+  const speedBonus  = Math.max(2, Math.round((1200 - reaction) / 30));
+  const streakBonus = Math.max(0, s.streak - 1) * 4;
+  // Rhythm: landing on a beat is worth as much as a fast reaction
+  const off         = s.beat ? Math.round(beatOffset(s.beat, now)) : null;
+  const grade       = s.beat ? beatGrade(off) : null;
+  const gained      = 15 + speedBonus + streakBonus + (grade ? BEAT_BONUS[grade] : 0);
+  s.score = Math.max(s.score + gained, 0);
+  if (grade) s.grades = { ...s.grades, [grade]: s.grades[grade] + 1 };
+
+  const prevStreak = s.streak;
+  s.streak = prevStreak + 1;
+  if (s.streak > s.maxStreak) s.maxStreak = s.streak;
+  emit(s, events, 'hit', {
+    cell, rt: reaction, score: s.score, gained, streak: s.streak, ...(grade ? { grade, off } : {}), ...tap,
+  });
+
+  const timeReward = Math.max(settings.rewardFloor,
+    1.25 - reaction / settings.rewardSlope - prevStreak * settings.rewardStreakFactor);
+  adjustTime(s, events, Math.max(settings.minGain, timeReward + settings.rewardBonus));
+
+  queueSpawn(s, events);
+});
+
+// The player ends the run themselves — the only way out of Zen
+export const finish = (state, now) => transition(state, (s, events) => {
+  if (s.over) return;
+  advance(s, events, now);
+  end(s, events);
+});
+
+// The aggregates GameBoard reports through onFinish
+export const summarize = (state) => {
+  const attempts = state.hits + state.misses;
+  return {
+    score:       state.score,
+    hits:        state.hits,
+    misses:      state.misses,
+    accuracy:    attempts > 0 ? Math.round((state.hits / attempts) * 100) : null,
+    fastestHit:  state.fastestHit,
+    avgReaction: state.hits > 0 ? Math.round(state.totalReaction / state.hits) : null,
+    maxStreak:   state.maxStreak,
+    ...(state.grades ? { grades: state.grades } : {}),
+  };
+};
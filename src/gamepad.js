@@ -0,0 +1,80 @@
+// ─── Gamepad input ──────────────────────────────────────────────────────────
+// Button numbers follow the Gamepad API "standard" mapping (Xbox layout:
+// 0 = A, 8 = View/Select, 9 = Menu/Start, 12-15 = d-pad). The left stick always
+// moves the cursor as well; only buttons are remappable.
+
+export const PAD_BINDINGS_KEY = 'arcade_arena_pad_bindings';  // { [action]: buttonIndex }
+
+export const PAD_ACTIONS = [
+  { id: 'up',    label: 'Cursor up' },
+  { id: 'down',  label: 'Cursor down' },
+  { id: 'left',  label: 'Cursor left' },
+  { id: 'right', label: 'Cursor right' },
+  { id: 'hit',   label: 'Hit tile / start' },
+  { id: 'pause', label: 'Pause / resume' },
+  { id: 'sound', label: 'Toggle sound' },
+];
+
+export const DEFAULT_PAD_BINDINGS = {
+  up: 12, down: 13, left: 14, right: 15,
+  hit: 0, pause: 9, sound: 8,
+};
+
+export const PAD_DIRECTIONS = {
+  up:    [0, -1],
+  down:  [0, 1],
+  left:  [-1, 0],
+  right: [1, 0],
+};
+
+const STICK_DEADZONE = 0.5;
+
+// Held directions repeat like a keyboard: one step, a pause, then a steady rate
+export const REPEAT_DELAY_MS = 320;
+export const REPEAT_RATE_MS  = 110;
+
+const STANDARD_NAMES = {
+  0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+  8: 'Select', 9: 'Start', 10: 'L3', 11: 'R3',
+  12: 'D-pad ↑', 13: 'D-pad ↓', 14: 'D-pad ←', 15: 'D-pad →', 16: 'Home',
+};
+export const buttonName = (index) => STANDARD_NAMES[index] ?? `Button ${index}`;
+
+export const readPadBindings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PAD_BINDINGS_KEY) || 'null');
+    if (stored && typeof stored === 'object') return { ...DEFAULT_PAD_BINDINGS, ...stored };
+  } catch { /* fall through */ }
+  return { ...DEFAULT_PAD_BINDINGS };
+};
+
+export const savePadBindings = (bindings) => {
+  try { localStorage.setItem(PAD_BINDINGS_KEY, JSON.stringify(bindings)); } catch { /* noop */ }
+};
+
+// navigator.getGamepads() has holes for unplugged slots
+export const connectedPads = () =>
+  (navigator.getGamepads?.() ?? []).filter((pad) => pad && pad.connected);
+
+// The most recently used pad is the one in play — kiosk setups often leave
+// several plugged in
+export const activePad = () => connectedPads().reduce(
+  (best, pad) => (!best || pad.timestamp > best.timestamp ? pad : best), null);
+
+export const pressedButtons = (pad) => {
+  const pressed = new Set();
+  pad?.buttons.forEach((b, i) => { if (b.pressed) pressed.add(i); });
+  return pressed;
+};
+
+// Actions currently held on `pad`, stick directions included
+export const heldActions = (pad, bindings) => {
+  const pressed = pressedButtons(pad);
+  const held = new Set(Object.keys(bindings).filter((action) => pressed.has(bindings[action])));
+  const [x = 0, y = 0] = pad?.axes ?? [];
+  if (x <= -STICK_DEADZONE) held.add('left');
+  if (x >= STICK_DEADZONE)  held.add('right');
+  if (y <= -STICK_DEADZONE) held.add('up');
+  if (y >= STICK_DEADZONE)  held.add('down');
+  return held;
+};
@@ -0,0 +1,73 @@
+// ─── Keyboard play ──────────────────────────────────────────────────────────
+// Small arenas map one key to each tile. Keys are physical positions
+// (KeyboardEvent.code) so the block keeps its shape on AZERTY/QWERTZ; the
+// labels are QWERTY keycaps until the browser tells us the real layout.
+//
+// A keyboard only has four rows of letters and digits, so 5x5 is split: the
+// left hand's 5x4 block covers the top four rows and the right hand's home
+// row (H J K L ;) the bottom one. 6x6 and up use a cursor instead: arrows
+// move it, Space/Enter taps the tile under it.
+
+const digit  = (n) => `Digit${n}`;
+const letter = (c) => `Key${c}`;
+
+// Each entry: rows of codes, top to bottom. A size may have several blocks;
+// all of them are live at once (e.g. numpad or letters for 3x3).
+const BLOCKS = {
+  3: [
+    [['Numpad7', 'Numpad8', 'Numpad9'], ['Numpad4', 'Numpad5', 'Numpad6'], ['Numpad1', 'Numpad2', 'Numpad3']],
+    [['Q', 'W', 'E'].map(letter), ['A', 'S', 'D'].map(letter), ['Z', 'X', 'C'].map(letter)],
+  ],
+  4: [
+    [[1, 2, 3, 4].map(digit), ['Q', 'W', 'E', 'R'].map(letter), ['A', 'S', 'D', 'F'].map(letter), ['Z', 'X', 'C', 'V'].map(letter)],
+  ],
+  5: [
+    [
+      [1, 2, 3, 4, 5].map(digit),
+      ['Q', 'W', 'E', 'R', 'T'].map(letter),
+      ['A', 'S', 'D', 'F', 'G'].map(letter),
+      ['Z', 'X', 'C', 'V', 'B'].map(letter),
+      [...['H', 'J', 'K', 'L'].map(letter), 'Semicolon'],
+    ],
+  ],
+};
+
+export const CURSOR_MOVES = {
+  ArrowUp:    [0, -1],
+  ArrowDown:  [0, 1],
+  ArrowLeft:  [-1, 0],
+  ArrowRight: [1, 0],
+};
+export const CURSOR_TAP = new Set(['Space', 'Enter', 'NumpadEnter']);
+
+const PUNCTUATION = { Semicolon: ';' };
+
+// Default keycap text for a code: KeyQ → Q, Digit1 → 1, Numpad7 → 7, Semicolon → ;
+export const codeLabel = (code) => PUNCTUATION[code] ?? code.replace(/^(Key|Digit|Numpad)/, '');
+
+// { scheme: 'keys', codes: Map<code, cellIndex>, hints: code[] (last block — the letters — per cell) }
+// or { scheme: 'cursor' } when the grid has no key block
+export const keyLayout = (gridSize) => {
+  const blocks = BLOCKS[gridSize];
+  if (!blocks) return { scheme: 'cursor' };
+  const codes = new Map();
+  blocks.forEach((rows) => rows.flat().forEach((code, idx) => codes.set(code, idx)));
+  // Hints show the letter block when there is one — most laptops have no numpad
+  const hintBlock = blocks[blocks.length - 1];
+  return { scheme: 'keys', codes, hints: hintBlock.flat() };
+};
+
+// Moves the cursor one step, clamped to the arena
+export const moveCursor = (cell, [dx, dy], cols, rows) => {
+  const x = Math.min(cols - 1, Math.max(0, (cell % cols) + dx));
+  const y = Math.min(rows - 1, Math.max(0, Math.floor(cell / cols) + dy));
+  return y * cols + x;
+};
+
+// The real keycap labels, where the Keyboard Map API exists (Chromium)
+export const loadKeyLabels = async () => {
+  try {
+    const map = await navigator.keyboard?.getLayoutMap?.();
+    return map ? (code) => (map.get(code) || codeLabel(code)).toUpperCase() : null;
+  } catch { return null; }
+};
@@ -7,3 +7,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>
 );
+
+// Offline play and install (see src/sw.js) — production builds only, so the
+// dev server never serves stale modules from a cache
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => { /* noop */ });
+  });
+}
@@ -0,0 +1,65 @@
+// ─── Tap melody sets ────────────────────────────────────────────────────────
+// What each correct hit plays: a phrase of scale degrees (see music.js), the
+// timbre it's played on, and the key — or `key: null` to follow the selected
+// track's key, so the melody always fits the music.
+//
+//   { id, label, phrase: (degree | null)[], timbre, key: { tonic, scale } | null }
+
+import { TAP_PHRASE } from './music';
+
+export const MELODY_KEY  = 'arcade_arena_melody';    // { setId, harmony }
+export const MELODIES_KEY = 'arcade_arena_melodies'; // custom sets, same shape as MELODY_SETS
+
+export const MELODY_SETS = [
+  { id: 'track',   label: 'Match the track',        phrase: TAP_PHRASE, timbre: 'marimba', key: null },
+  {
+    id: 'bells', label: 'Bells — G major pentatonic', timbre: 'bell',
+    key: { tonic: 'G', scale: 'majorPentatonic' },
+    phrase: [0, 2, 4, 2, 3, 1, 0, -1,  0, 2, 4, 5, 4, 3, 2, null,  4, 3, 2, 1, 2, 0, -1, 0,  1, 2, 3, 2, 1, 0, 0, null],
+  },
+  {
+    id: 'pluck', label: 'Pluck — D dorian', timbre: 'pluck',
+    key: { tonic: 'D', scale: 'dorian' },
+    phrase: [0, 2, 4, 3, 2, 0, 1, 2,  4, 5, 6, 5, 4, 2, 3, 4,  7, 6, 5, 4, 3, 2, 1, 0,  -1, 0, 2, 1, 0, -2, -1, 0],
+  },
+  {
+    id: 'blues', label: 'Marimba — E blues', timbre: 'marimba',
+    key: { tonic: 'E', scale: 'blues' },
+    phrase: [0, 1, 2, 3, 4, 3, 2, 1,  0, -1, 0, 1, 3, 2, 1, 0,  6, 5, 4, 3, 4, 3, 2, 1,  2, 1, 0, -1, -2, -1, 0, null],
+  },
+];
+
+export const DEFAULT_MELODY_SETTINGS = { setId: 'track', harmony: false };
+
+// Step editor bounds
+export const STEP_COUNTS  = [8, 16, 32, 48];  // 48 fits the built-in tap phrase
+export const DEGREE_RANGE = [-3, 7];  // lowest / highest scale degree offered
+
+export const readMelodySettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MELODY_KEY) || 'null');
+    if (stored && typeof stored === 'object') return { ...DEFAULT_MELODY_SETTINGS, ...stored };
+  } catch { /* fall through */ }
+  return { ...DEFAULT_MELODY_SETTINGS };
+};
+
+export const saveMelodySettings = (settings) => {
+  try { localStorage.setItem(MELODY_KEY, JSON.stringify(settings)); } catch { /* noop */ }
+};
+
+const validSet = (set) => set && typeof set.id === 'string' && Array.isArray(set.phrase)
+  && set.phrase.length > 0 && set.phrase.some((d) => d !== null);
+
+export const readCustomMelodies = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MELODIES_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(validSet) : [];
+  } catch { return []; }
+};
+
+export const saveCustomMelodies = (sets) => {
+  try { localStorage.setItem(MELODIES_KEY, JSON.stringify(sets)); } catch { /* noop */ }
+};
+
+export const findMelodySet = (id, custom = []) =>
+  [...MELODY_SETS, ...custom].find((set) => set.id === id) ?? MELODY_SETS[0];
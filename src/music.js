@@ -0,0 +1,102 @@
+// ─── Music library ──────────────────────────────────────────────────────────
+// A track is the background audio plus the key the tap melody plays in, so
+// hit notes sit on top of whatever is playing:
+//
+//   { id, title, artist, src, melody: { tonic, scale }, beat: { bpm, offset } | null }
+//
+// `beat` drives Rhythm mode: tempo and the ms to the first beat. Tracks
+// without it have it detected from the audio (see beats.js).
+//
+// Bundled tracks ship in /public; user tracks live in IndexedDB (see db.js)
+// and get an object URL for `src` while selected. A null `src` plays the
+// melody on its own.
+
+export const TRACK_KEY = 'arcade_arena_track';  // selected track id
+
+// Scale intervals in semitones above the tonic. `harmony` is the scale
+// degrees stacked above a melody note for a consonant chord (third + fifth
+// in seven-note scales; the pentatonic and blues equivalents otherwise).
+export const SCALES = {
+  minorPentatonic: { label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10],          harmony: [1, 3] },
+  majorPentatonic: { label: 'Major pentatonic', steps: [0, 2, 4, 7, 9],           harmony: [2, 3] },
+  minor:           { label: 'Natural minor',    steps: [0, 2, 3, 5, 7, 8, 10],    harmony: [2, 4] },
+  major:           { label: 'Major',            steps: [0, 2, 4, 5, 7, 9, 11],    harmony: [2, 4] },
+  dorian:          { label: 'Dorian',           steps: [0, 2, 3, 5, 7, 9, 10],    harmony: [2, 4] },
+  blues:           { label: 'Blues',            steps: [0, 3, 5, 6, 7, 10],       harmony: [1, 4] },
+};
+
+export const TONICS = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+// The tap phrase as scale degrees above the tonic (0 = tonic, negative dips
+// below it). Written against "Lonely at the Top" in C minor pentatonic, where
+// it lands on G5 F5 E♭5 C5 …; any other key/scale transposes it.
+export const TAP_PHRASE = [
+   3,  2,  1,  0,   1,  2,  3,  3,
+   2,  1,  0, -1,   0,  1,  2,  3,
+   3,  3,  2,  1,   2,  3,  4,  3,
+   2,  1,  0, -1,   0,  1,  0, -2,
+   3,  2,  3,  4,   3,  2,  1,  2,
+   1,  0, -1, -2,  -1,  0,  1,  0,
+];
+
+const TONIC_OCTAVE_MIDI = 72;  // C5 — the phrase sits around the top of the treble staff
+
+const midiHz = (note) => 440 * 2 ** ((note - 69) / 12);
+
+// Hz for scale degree `degree` of `melody` (degrees wrap into higher/lower octaves)
+const scaleOf = (melody) => SCALES[melody.scale] ?? SCALES.minorPentatonic;
+
+export const degreeHz = (melody, degree) => {
+  const steps  = scaleOf(melody).steps;
+  const tonic  = TONICS.indexOf(melody.tonic);
+  const octave = Math.floor(degree / steps.length);
+  const step   = steps[((degree % steps.length) + steps.length) % steps.length];
+  return midiHz(TONIC_OCTAVE_MIDI + Math.max(0, tonic) + octave * 12 + step);
+};
+
+// null steps are rests — that hit plays no note
+export const melodyNotes = (melody, phrase = TAP_PHRASE) =>
+  phrase.map((degree) => (degree === null ? null : degreeHz(melody, degree)));
+
+// Hz of the chord tones above `degree` (see SCALES.harmony)
+export const harmonyHz = (melody, degree) =>
+  scaleOf(melody).harmony.map((step) => degreeHz(melody, degree + step));
+
+export const describeKey = (melody) => `${melody.tonic} ${scaleOf(melody).label.toLowerCase()}`;
+
+export const DEFAULT_MELODY = { tonic: 'C', scale: 'minorPentatonic' };
+
+export const BUNDLED_TRACKS = [
+  {
+    id:     'lonely-at-the-top',
+    title:  'Lonely at the Top',
+    artist: 'Asake',
+    src:    '/Asake-Lonely-At-The-Top.mp3',
+    melody: { tonic: 'C', scale: 'minorPentatonic' },
+    beat:   null,
+  },
+  {
+    id:     'melody-only',
+    title:  'Tap melody only',
+    artist: '',
+    src:    null,
+    melody: { tonic: 'A', scale: 'minorPentatonic' },
+    beat:   { bpm: 100, offset: 0 },  // Rhythm plays a click track instead
+  },
+];
+
+export const DEFAULT_TRACK_ID = BUNDLED_TRACKS[0].id;
+
+// Browsers cap origin storage; keep a single upload well inside it
+export const MAX_TRACK_BYTES = 40 * 1024 * 1024;
+
+export const readTrackId = () => {
+  try { return localStorage.getItem(TRACK_KEY) || DEFAULT_TRACK_ID; } catch { return DEFAULT_TRACK_ID; }
+};
+
+export const saveTrackId = (id) => {
+  try { localStorage.setItem(TRACK_KEY, id); } catch { /* noop */ }
+};
+
+export const trackCaption = (track) =>
+  (track.artist ? `${track.title} – ${track.artist}` : track.title);
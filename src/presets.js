@@ -0,0 +1,81 @@
+// ─── Custom difficulty presets ──────────────────────────────────────────────
+// Field ranges for the Custom difficulty editor, plus a compact share code:
+// `c1.<base64url of the field values in DIFFICULTY_FIELDS order>`.
+
+import { DIFFICULTY } from './engine.js';
+
+export const PRESET_PARAM = 'preset';   // ?preset=<code> in share links
+const CODE_PREFIX = 'c1.';
+
+export const DIFFICULTY_FIELDS = [
+  { key: 'startTime',          label: 'Start time (s)',           min: 5,   max: 120,  step: 1 },
+  { key: 'timeRewardCap',      label: 'Time bank cap (s)',        min: 10,  max: 120,  step: 1 },
+  { key: 'missPenalty',        label: 'Miss penalty (s)',         min: 0,   max: 15,   step: 0.1 },
+  { key: 'wrongClickPenalty',  label: 'Wrong tap penalty (s)',    min: 0,   max: 10,   step: 0.1 },
+  { key: 'hazardChance',       label: 'Hazard chance',            min: 0,   max: 0.5,  step: 0.01 },
+  { key: 'paceBase',           label: 'Tile window start (ms)',   min: 300, max: 4000, step: 10 },
+  { key: 'paceFloor',          label: 'Tile window floor (ms)',   min: 200, max: 3000, step: 10 },
+  { key: 'paceScoreFactor',    label: 'Pace per point',           min: 0,   max: 30,   step: 0.1 },
+  { key: 'paceStreakFactor',   label: 'Pace per streak',          min: 0,   max: 50,   step: 0.5 },
+  { key: 'rewardBonus',        label: 'Hit time bonus (s)',       min: 0,   max: 3,    step: 0.01 },
+  { key: 'rewardFloor',        label: 'Min reward (s)',           min: 0,   max: 3,    step: 0.01 },
+  { key: 'rewardSlope',        label: 'Reward slope (ms)',        min: 200, max: 3000, step: 10 },
+  { key: 'rewardStreakFactor', label: 'Reward decay per streak',  min: 0,   max: 0.1,  step: 0.001 },
+  { key: 'minGain',            label: 'Min time gain (s)',        min: 0,   max: 3,    step: 0.01 },
+];
+
+export const defaultCustomSettings = () => ({ ...DIFFICULTY.normal });
+
+// Returns { [fieldKey]: message } — empty when the settings are playable
+export const validateSettings = (settings) => {
+  const errors = {};
+  DIFFICULTY_FIELDS.forEach(({ key, label, min, max }) => {
+    const v = settings?.[key];
+    if (typeof v !== 'number' || !Number.isFinite(v)) errors[key] = `${label} must be a number`;
+    else if (v < min || v > max) errors[key] = `Must be between ${min} and ${max}`;
+  });
+  if (!errors.paceFloor && !errors.paceBase && settings.paceFloor > settings.paceBase) {
+    errors.paceFloor = 'Floor cannot exceed the starting window';
+  }
+  if (!errors.startTime && !errors.timeRewardCap && settings.startTime > settings.timeRewardCap) {
+    errors.timeRewardCap = 'Cap cannot be below the start time';
+  }
+  return errors;
+};
+
+const toBase64Url = (str) => btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (str) => atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+
+export const encodePreset = (settings) =>
+  CODE_PREFIX + toBase64Url(JSON.stringify(DIFFICULTY_FIELDS.map(({ key }) => settings[key])));
+
+// Returns the decoded settings, or null for anything malformed or out of range
+export const decodePreset = (code) => {
+  try {
+    const trimmed = String(code).trim();
+    if (!trimmed.startsWith(CODE_PREFIX)) return null;
+    const values = JSON.parse(fromBase64Url(trimmed.slice(CODE_PREFIX.length)));
+    if (!Array.isArray(values) || values.length !== DIFFICULTY_FIELDS.length) return null;
+    const settings = {};
+    DIFFICULTY_FIELDS.forEach(({ key }, i) => { settings[key] = values[i]; });
+    return Object.keys(validateSettings(settings)).length === 0 ? settings : null;
+  } catch { return null; }
+};
+
+// Accepts either a bare code or a full share link
+export const parsePresetInput = (input) => {
+  const text = String(input).trim();
+  try {
+    const param = new URL(text).searchParams.get(PRESET_PARAM);
+    if (param) return decodePreset(param);
+  } catch { /* not a URL */ }
+  return decodePreset(text);
+};
+
+export const presetLink = (settings) => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(PRESET_PARAM, encodePreset(settings));
+  return url.toString();
+};
@@ -0,0 +1,91 @@
+// ─── Run event log helpers ──────────────────────────────────────────────────
+// The engine emits one entry per game event: { t, type, ...data } where `t`
+// is ms of active play since the run started (pauses excluded).
+//
+//   start  { time, lives?, beat? }             run began with `time` seconds on the clock
+//                                              (null when the mode has no timer); Rhythm
+//                                              adds the beat grid { interval, offset } in ms
+//   spawn  { cell, hazard, window }            new target, optional decoy, ms until it expires
+//   hit    { cell, rt, score, gained, streak } correct tap, reaction ms, score afterwards;
+//                                              Rhythm adds `grade` and `off` (ms from the beat)
+//   wrong  { cell }                            tapped an empty tile
+//   hazard { cell, score }                     tapped the decoy, score afterwards
+//   miss   { cell }                            target expired
+//   time   { delta, time }                     time-bank change and the balance afterwards
+//   life   { lives }                           Survival: a life was lost, lives remaining
+//   (hit, wrong and hazard carry `lag` when the tap's own timestamp was that
+//    many ms before `t` — it landed between frame ticks)
+//   pause / resume
+//   end    { score }
+
+export const FLASH_MS = 180;
+
+const OUTCOME_FLASH = { hit: 'hit', wrong: 'miss', miss: 'miss', hazard: 'hazard' };
+
+export const runDuration = (log = []) => (log.length ? log[log.length - 1].t : 0);
+
+// Every hit as [t, rt] — when it landed and its reaction ms; stored on the run
+// record so analytics don't need the full log
+export const reactionsFromLog = (log = []) =>
+  log.filter((ev) => ev.type === 'hit').map((ev) => [ev.t, ev.rt]);
+
+// Outcomes per tile as [hits, misses, stray, reactionTotal]: targets hit and
+// left to expire there, taps on it that hit nothing or the decoy, and the sum
+// of its hits' reaction ms
+export const tileStatsFromLog = (log = [], cellCount) => {
+  const tiles = Array.from({ length: cellCount }, () => [0, 0, 0, 0]);
+  log.forEach((ev) => {
+    const tile = tiles[ev.cell];
+    if (!tile) return;
+    switch (ev.type) {
+      case 'hit':    tile[0] += 1; tile[3] += ev.rt; break;
+      case 'miss':   tile[1] += 1; break;
+      case 'wrong':
+      case 'hazard': tile[2] += 1; break;
+      default: break;
+    }
+  });
+  return tiles;
+};
+
+// Score at `t` ms — cheaper than a full frame, used for the live ghost delta
+export const scoreAt = (log = [], t) => {
+  let score = 0;
+  for (const ev of log) {
+    if (ev.t > t) break;
+    if (ev.score != null) score = ev.score;
+  }
+  return score;
+};
+
+// Board state at `t` ms into the run, folded from every event up to that point
+export const frameAt = (log = [], t) => {
+  const frame = {
+    activeCell: null, hazardCell: null,
+    score: 0, streak: 0, timeLeft: 0, lives: null,
+    lastReaction: null, flashes: {}, ended: false,
+  };
+  let timeAnchor = { t: 0, time: 0 };
+
+  for (const ev of log) {
+    if (ev.t > t) break;
+    switch (ev.type) {
+      case 'start':  timeAnchor = { t: ev.t, time: ev.time }; frame.lives = ev.lives ?? null; break;
+      case 'spawn':  frame.activeCell = ev.cell; frame.hazardCell = ev.hazard ?? null; break;
+      // A spawn at the same `t` follows unless Rhythm is waiting for the next beat
+      case 'hit':    frame.score = ev.score; frame.streak += 1; frame.lastReaction = ev.rt; frame.activeCell = null; break;
+      case 'hazard': frame.score = ev.score; frame.streak = 0; frame.hazardCell = null; frame.activeCell = null; break;
+      case 'wrong':  frame.streak = 0; break;
+      case 'miss':   frame.streak = 0; frame.activeCell = null; break;
+      case 'time':   timeAnchor = { t: ev.t, time: ev.time }; break;
+      case 'life':   frame.lives = ev.lives; break;
+      case 'end':    frame.score = ev.score; frame.ended = true; frame.activeCell = null; frame.hazardCell = null; break;
+      default: break;
+    }
+    if (OUTCOME_FLASH[ev.type] && t - ev.t < FLASH_MS) frame.flashes[ev.cell] = OUTCOME_FLASH[ev.type];
+  }
+
+  if (timeAnchor.time === null) frame.timeLeft = null;
+  else frame.timeLeft = frame.ended ? 0 : Math.max(0, timeAnchor.time - (t - timeAnchor.t) / 1000);
+  return frame;
+};
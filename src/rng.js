@@ -0,0 +1,48 @@
+// ─── Seedable PRNG ──────────────────────────────────────────────────────────
+// Every tile and hazard choice goes through one of these so a run can be
+// reproduced exactly from its seed (Daily Challenge, head-to-head comparisons).
+
+// mulberry32 — tiny, fast, and good enough for picking tiles.
+// The whole generator state is one uint32, so it can live in plain data:
+// nextRandom(state) → [value in [0, 1), nextState]
+export const nextRandom = (state) => {
+  const a = (state + 0x6d2b79f5) >>> 0;
+  let t = a;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, a];
+};
+
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    const [value, next] = nextRandom(a);
+    a = next;
+    return value;
+  };
+};
+
+// FNV-1a string hash → 32-bit unsigned seed
+export const hashSeed = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+export const randomSeed = () => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+};
+
+// UTC date so every player worldwide shares the same challenge for the day
+export const dailyKey = (date = new Date()) => date.toISOString().split('T')[0];
+
+// The seed for a "YYYY-MM-DD" day — what the verifier checks a Daily run against
+export const daySeed = (day) => hashSeed(`arcade-arena:daily:${day}`);
+
+export const dailySeed = (date = new Date()) => daySeed(dailyKey(date));
@@ -0,0 +1,93 @@
+// ─── Offline score queue ────────────────────────────────────────────────────
+// Submissions that fail on a flaky or missing connection are kept here and
+// retried with exponential backoff until the server accepts (or rejects) them.
+
+import { submitScore } from './api.js';
+
+export const QUEUE_KEY = 'arcade_arena_score_queue';  // QueuedScore[] oldest-first
+
+const BASE_DELAY_MS = 5_000;
+const MAX_DELAY_MS  = 5 * 60_000;
+const MAX_QUEUED    = 50;
+
+// {
+//   id, payload,        // payload is the submitScore() argument, incl. deviceId
+//   queuedAt,           // epoch ms the run finished
+//   attempts, nextAttemptAt,
+// }
+
+export const readQueue = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+    return Array.isArray(data) ? data : [];
+  } catch { return []; }
+};
+
+const writeQueue = (queue) => {
+  try { localStorage.setItem(QUEUE_KEY, JSON.stringify(queue)); } catch { /* noop */ }
+};
+
+// No status means the request never reached the server; 5xx, 408 and 429 are
+// the server asking us to come back later. Anything else is a final answer.
+export const isRetryable = (err) => {
+  const status = err?.status;
+  return status == null || status >= 500 || status === 408 || status === 429;
+};
+
+const backoff = (attempts) => Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+
+export const enqueueScore = (payload, queuedAt = Date.now()) => {
+  const queue = readQueue();
+  queue.push({
+    id:            `${payload.deviceId ?? 'dev'}-${queuedAt}`,
+    payload:       { ...payload, playedAt: queuedAt },
+    queuedAt,
+    attempts:      0,
+    nextAttemptAt: queuedAt,
+  });
+  // Oldest entries go first if a device stays offline for a very long time
+  writeQueue(queue.slice(-MAX_QUEUED));
+  return Math.min(queue.length, MAX_QUEUED);
+};
+
+// Earliest time a queued entry may be retried, or null when the queue is empty
+export const nextRetryAt = () => {
+  const queue = readQueue();
+  return queue.length ? Math.min(...queue.map((q) => q.nextAttemptAt)) : null;
+};
+
+let flushing = null;
+
+// Sends every entry that is due, oldest first. Resolves to
+// { sent, dropped, remaining } — `dropped` holds entries the server refused.
+// Concurrent calls share the same pass.
+export const flushQueue = ({ force = false } = {}) => {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const sent = [], dropped = [];
+    const now = Date.now();
+    for (const entry of readQueue()) {
+      if (!force && entry.nextAttemptAt > now) continue;
+      try {
+        await submitScore(entry.payload);
+        sent.push(entry);
+      } catch (err) {
+        if (!isRetryable(err)) {
+          dropped.push({ ...entry, error: err.message });
+        } else {
+          const attempts = entry.attempts + 1;
+          // Persist per entry so a closed tab keeps the updated backoff
+          writeQueue(readQueue().map((q) => (q.id === entry.id
+            ? { ...q, attempts, nextAttemptAt: Date.now() + backoff(attempts) } : q)));
+          // Still offline — no point hammering the rest of the queue
+          if (err.status == null) break;
+          continue;
+        }
+      }
+      const done = new Set([...sent, ...dropped].map((q) => q.id));
+      writeQueue(readQueue().filter((q) => !done.has(q.id)));
+    }
+    return { sent, dropped, remaining: readQueue().length };
+  })().finally(() => { flushing = null; });
+  return flushing;
+};
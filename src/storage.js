@@ -0,0 +1,361 @@
+// ─── Local stats storage ────────────────────────────────────────────────────
+// Shared by App (writes after each run) and StatsPage (reads).
+//
+// Bests, streak and ghosts are small and stay in localStorage. Runs and daily
+// history grow without limit, so they live in IndexedDB (see db.js) and their
+// accessors are async; the old localStorage copies are moved over once.
+
+import { settle, withStore } from './db.js';
+import { reactionsFromLog, tileStatsFromLog } from './replay.js';
+
+export const PB_KEY      = 'arcade_arena_pb';       // { [recordKey]: score }
+export const DAILY_KEY   = 'arcade_arena_daily';    // { date, scores: { [recordKey]: score } }
+export const STREAK_KEY  = 'arcade_arena_streak';   // { lastDate, count }
+// Legacy: moved to IndexedDB on first load, then removed
+export const HISTORY_KEY = 'arcade_arena_history';  // { [dateStr]: { score, games, byDifficulty: { [recordKey]: { score, games } } } }
+export const RUNS_KEY    = 'arcade_arena_runs';     // RunRecord[] newest-first, max 20 (with replay `log`, see replay.js)
+export const GHOST_KEY   = 'arcade_arena_ghost';    // { [recordKey]: { seed, score, grid, log, timestamp } }
+export const DEVICE_KEY  = 'arcade_arena_device';   // random id the leaderboard knows this install by
+export const NAME_KEY    = 'arcade_arena_player';   // locked-in player name
+
+// Legacy single-number bests predate per-difficulty tracking; scores we can't
+// attribute to a run are credited to the default difficulty.
+const LEGACY_DIFFICULTY = 'normal';
+
+// The `[difficulty]` slot in the keys above. Classic and Daily share the
+// time-bank rules and keep plain difficulty keys; Sprint and Survival score on
+// their own scale, so they get a separate `mode:difficulty` slot. Small grids
+// are far easier than large ones, so every slot is per grid size too:
+// `normal@5`, `sprint:hard@3`.
+export const recordKey = (mode, difficulty, gridSize) =>
+  `${mode === 'sprint' || mode === 'survival' ? `${mode}:${difficulty}` : difficulty}@${gridSize}`;
+
+// The grid before it was selectable: picked by screen width. Also the first-visit default.
+export const defaultGridSize = () => (typeof window !== 'undefined' && window.innerWidth <= 540 ? 4 : 5);
+
+// Records kept before the grid size was part of the key count for the default grid
+const hasGrid = (key) => key.includes('@');
+const regrid = (map, merge) => Object.entries(map).reduce((acc, [key, value]) => {
+  const k = hasGrid(key) ? key : `${key}@${defaultGridSize()}`;
+  acc[k] = acc[k] === undefined ? value : merge(acc[k], value);
+  return acc;
+}, {});
+const needsRegrid = (map) => !!map && Object.keys(map).some((key) => !hasGrid(key));
+const maxScore  = (a, b) => Math.max(a, b);
+const mergeSlot = (a, b) => ({ score: Math.max(a.score, b.score), games: a.games + b.games });
+
+export const todayStr = () => new Date().toISOString().split('T')[0];
+const yesterdayStr = () => new Date(Date.now() - 86_400_000).toISOString().split('T')[0];
+
+export const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw) ?? fallback;
+  } catch { return fallback; }
+};
+
+// ─── runs ───────────────────────────────────────────────────────────────────
+// RunRecord: { timestamp, date, score, mode, difficulty, gridSize, seed, hits,
+// misses, accuracy, fastestHit, avgReaction, maxStreak, reactions, tiles, grid, log, ... }.
+// `reactions` is every hit as [t, rt] ms and `tiles` the outcomes per tile
+// (see reactionsFromLog / tileStatsFromLog); older runs only have them in
+// their log, so summaries fill them in from there.
+// `timestamp` is the key — two runs never finish in the same millisecond.
+
+const newestFirst = (a, b) => b.timestamp - a.timestamp;
+const LEGACY_RUNS_LIMIT = 20;
+
+// Every run, newest-first, replay logs included
+export const readRuns = async () => {
+  try {
+    await ready();
+    return (await withStore('runs', 'readonly', (store) => settle(store.getAll()))).sort(newestFirst);
+  } catch { return readJson(RUNS_KEY, []); }
+};
+
+// What the runSummaries store holds: the run without its replay log
+const summarizeRun = ({ log, ...run }) => {
+  const size = run.gridSize ?? run.grid?.cols;
+  return {
+    ...run,
+    reactions: run.reactions ?? reactionsFromLog(log),
+    tiles:     run.tiles ?? (log?.length > 0 && size ? tileStatsFromLog(log, size * size) : null),
+    hasLog:    log?.length > 0,
+  };
+};
+
+// Every run without its replay log (`hasLog` says whether it has one), newest
+// first — the cheap list for tables and trends; fetch the full record with
+// readRun. Without IndexedDB these are the runs appendRun kept in
+// localStorage; rejects only when neither can be read, so callers can say so.
+export const readRunSummaries = async () => {
+  try {
+    await ready();
+    return (await withStore('runSummaries', 'readonly', (store) => settle(store.getAll()))).reverse();
+  } catch (err) {
+    let legacy;
+    try { legacy = JSON.parse(localStorage.getItem(RUNS_KEY) || '[]'); } catch { throw err; }
+    return Array.isArray(legacy) ? legacy.map(summarizeRun) : [];
+  }
+};
+
+export const readRun = async (timestamp) => {
+  try {
+    await ready();
+    return (await withStore('runs', 'readonly', (store) => settle(store.get(timestamp)))) ?? null;
+  } catch { return readJson(RUNS_KEY, []).find((r) => r.timestamp === timestamp) ?? null; }
+};
+
+// Adds or replaces runs by timestamp, with their summaries in the same transaction
+export const putRuns = async (runs) => {
+  await ready();
+  await withStore(['runs', 'runSummaries'], 'readwrite', (store, summaries) => Promise.all(runs.flatMap((run) => [
+    settle(store.put(run)),
+    settle(summaries.put(summarizeRun(run))),
+  ])));
+};
+
+// Without IndexedDB the run goes on the old capped localStorage list, which
+// moves over once the database is available again
+export const appendRun = (run) => putRuns([run]).catch(() => {
+  try {
+    const runs = [run, ...readJson(RUNS_KEY, [])].slice(0, LEGACY_RUNS_LIMIT);
+    localStorage.setItem(RUNS_KEY, JSON.stringify(runs));
+  } catch { /* noop */ }
+});
+
+// ─── migration ──────────────────────────────────────────────────────────────
+
+// Best score per difficulty among recorded runs, optionally for one date
+const bestsFromRuns = (runs, dateStr = null) => runs.reduce((acc, r) => {
+  if (dateStr && r.date !== dateStr) return acc;
+  const d = r.difficulty || LEGACY_DIFFICULTY;
+  acc[d] = Math.max(acc[d] || 0, r.score || 0);
+  return acc;
+}, {});
+
+// A legacy score already matched by a recorded run is accounted for;
+// anything higher is credited to the default difficulty.
+const attributeLegacy = (bests, legacyScore) => {
+  if (!legacyScore) return bests;
+  const covered = Object.values(bests).some((s) => s >= legacyScore);
+  if (covered) return bests;
+  return { ...bests, [LEGACY_DIFFICULTY]: Math.max(bests[LEGACY_DIFFICULTY] || 0, legacyScore) };
+};
+
+// One-time upgrade of the single-value PB / daily keys, difficulty-less
+// history days and slots without a grid size. Idempotent: already-migrated
+// data is left untouched.
+export const migrateLegacyStats = () => {
+  try {
+    const runs = readJson(RUNS_KEY, []);  // legacy stats only ever sit beside the legacy run list
+
+    const pbRaw = localStorage.getItem(PB_KEY);
+    if (pbRaw != null && /^\d+$/.test(pbRaw.trim())) {
+      const bests = attributeLegacy(bestsFromRuns(runs), parseInt(pbRaw, 10));
+      localStorage.setItem(PB_KEY, JSON.stringify(bests));
+    }
+
+    const daily = readJson(DAILY_KEY, null);
+    if (daily && typeof daily.score === 'number' && !daily.scores) {
+      const scores = attributeLegacy(bestsFromRuns(runs, daily.date), daily.score);
+      localStorage.setItem(DAILY_KEY, JSON.stringify({ date: daily.date, scores }));
+    }
+
+    const hist = readJson(HISTORY_KEY, {});
+    let histChanged = false;
+    Object.entries(hist).forEach(([dateStr, entry]) => {
+      if (entry.byDifficulty) return;
+      const dayRuns = runs.filter((r) => r.date === dateStr);
+      const byDifficulty = {};
+      dayRuns.forEach((r) => {
+        const d    = r.difficulty || LEGACY_DIFFICULTY;
+        const prev = byDifficulty[d] || { score: 0, games: 0 };
+        byDifficulty[d] = { score: Math.max(prev.score, r.score), games: prev.games + 1 };
+      });
+      if (dayRuns.length === 0) byDifficulty[LEGACY_DIFFICULTY] = { score: entry.score, games: entry.games };
+      hist[dateStr] = { ...entry, byDifficulty };
+      histChanged = true;
+    });
+    if (histChanged) localStorage.setItem(HISTORY_KEY, JSON.stringify(hist));
+
+    // Slots without a grid size (see recordKey)
+    const bests = readJson(PB_KEY, null);
+    if (needsRegrid(bests)) localStorage.setItem(PB_KEY, JSON.stringify(regrid(bests, maxScore)));
+    const today = readJson(DAILY_KEY, null);
+    if (needsRegrid(today?.scores)) {
+      localStorage.setItem(DAILY_KEY, JSON.stringify({ ...today, scores: regrid(today.scores, maxScore) }));
+    }
+    const days = readJson(HISTORY_KEY, null);
+    if (days && Object.values(days).some((d) => needsRegrid(d.byDifficulty))) {
+      const regridded = Object.fromEntries(Object.entries(days).map(([date, d]) =>
+        [date, d.byDifficulty ? { ...d, byDifficulty: regrid(d.byDifficulty, mergeSlot) } : d]));
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(regridded));
+    }
+    // Ghosts know the grid they were recorded on; keep the better one per slot
+    const ghosts = readJson(GHOST_KEY, null);
+    if (needsRegrid(ghosts)) {
+      const slotted = Object.entries(ghosts).reduce((acc, [key, ghost]) => {
+        const k = hasGrid(key) ? key : `${key}@${ghost.grid?.cols ?? defaultGridSize()}`;
+        if (!acc[k] || ghost.score > acc[k].score) acc[k] = ghost;
+        return acc;
+      }, {});
+      localStorage.setItem(GHOST_KEY, JSON.stringify(slotted));
+    }
+  } catch { /* noop */ }
+};
+
+// ─── personal / daily bests ─────────────────────────────────────────────────
+
+export const readPersonalBests = () => {
+  const data = readJson(PB_KEY, {});
+  return typeof data === 'object' ? data : {};
+};
+export const readPersonalBest = (difficulty) => readPersonalBests()[difficulty] || 0;
+export const updatePersonalBest = (difficulty, score) => {
+  const bests   = readPersonalBests();
+  const current = bests[difficulty] || 0;
+  if (score > current) {
+    localStorage.setItem(PB_KEY, JSON.stringify({ ...bests, [difficulty]: score }));
+    return score;
+  }
+  return current;
+};
+
+export const readDailyBests = () => {
+  const data = readJson(DAILY_KEY, null);
+  return data?.date === todayStr() && data.scores ? data.scores : {};
+};
+export const updateDailyBest = (difficulty, score) => {
+  const scores = readDailyBests();
+  const best   = Math.max(scores[difficulty] || 0, score);
+  localStorage.setItem(DAILY_KEY, JSON.stringify({ date: todayStr(), scores: { ...scores, [difficulty]: best } }));
+  return best;
+};
+
+// ─── ghost runs ─────────────────────────────────────────────────────────────
+
+// The personal-best run per Classic record slot (difficulty and grid size,
+// see recordKey), replayed as the ghost opponent
+export const readGhost = (key) => readJson(GHOST_KEY, {})[key] || null;
+export const saveGhost = (key, ghost) => {
+  try {
+    const ghosts = readJson(GHOST_KEY, {});
+    localStorage.setItem(GHOST_KEY, JSON.stringify({ ...ghosts, [key]: ghost }));
+  } catch { /* noop */ }
+};
+
+// ─── login streak ───────────────────────────────────────────────────────────
+
+export const readStreak = () => {
+  const data = readJson(STREAK_KEY, null);
+  if (!data) return 0;
+  if (data.lastDate === todayStr() || data.lastDate === yesterdayStr()) return data.count;
+  return 0;
+};
+export const touchStreak = () => {
+  try {
+    const data = readJson(STREAK_KEY, null);
+    const today = todayStr();
+    const yesterday = yesterdayStr();
+    let newCount = 1;
+    if (data) {
+      if (data.lastDate === today)          newCount = data.count;
+      else if (data.lastDate === yesterday) newCount = data.count + 1;
+    }
+    localStorage.setItem(STREAK_KEY, JSON.stringify({ lastDate: today, count: newCount }));
+    return newCount;
+  } catch { return 1; }
+};
+
+// ─── daily history ──────────────────────────────────────────────────────────
+
+// { [dateStr]: { score, games, byDifficulty } } — every day ever played
+export const readHistory = async () => {
+  try {
+    await ready();
+    const days = await withStore('history', 'readonly', (store) => settle(store.getAll()));
+    return Object.fromEntries(days.map(({ date, ...entry }) => [date, entry]));
+  } catch { return readJson(HISTORY_KEY, {}); }
+};
+
+// Adds or replaces whole days
+export const putHistory = async (hist) => {
+  await ready();
+  await withStore('history', 'readwrite', (store) =>
+    Promise.all(Object.entries(hist).map(([date, entry]) => settle(store.put({ ...entry, date })))));
+};
+
+const addToDay = (prev = { score: 0, games: 0, byDifficulty: {} }, difficulty, score) => {
+  const prevDiff = prev.byDifficulty?.[difficulty] || { score: 0, games: 0 };
+  return {
+    score: Math.max(prev.score, score),
+    games: prev.games + 1,
+    byDifficulty: {
+      ...prev.byDifficulty,
+      [difficulty]: { score: Math.max(prevDiff.score, score), games: prevDiff.games + 1 },
+    },
+  };
+};
+
+// Daily history: best score per day (overall and per difficulty), for the performance chart.
+// Falls back to the legacy localStorage map like appendRun does.
+export const updateHistory = async (dateStr, difficulty, score) => {
+  try {
+    await ready();
+    await withStore('history', 'readwrite', async (store) => {
+      const prev = await settle(store.get(dateStr));  // undefined for a new day
+      await settle(store.put({ ...addToDay(prev, difficulty, score), date: dateStr }));
+    });
+  } catch {
+    try {
+      const hist = readJson(HISTORY_KEY, {});
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ ...hist, [dateStr]: addToDay(hist[dateStr], difficulty, score) }));
+    } catch { /* noop */ }
+  }
+};
+
+// ─── localStorage → IndexedDB ───────────────────────────────────────────────
+
+// Copies the legacy run list and history into IndexedDB, then drops the
+// localStorage copies. Runs before any read or write of either, once per
+// page load; if IndexedDB is unavailable the legacy data stays put.
+const moveToIndexedDb = async () => {
+  const runs = readJson(RUNS_KEY, null);
+  const hist = readJson(HISTORY_KEY, null);
+  if (!runs && !hist) return;
+  await withStore('runs', 'readwrite', (store) =>
+    Promise.all((runs ?? []).filter((r) => Number.isFinite(r?.timestamp)).map((r) => settle(store.put(r)))));
+  // A day already in the database was written after the move started elsewhere
+  // (another tab) — keep whichever saw more games
+  await withStore('history', 'readwrite', (store) => Promise.all(Object.entries(hist ?? {}).map(async ([date, entry]) => {
+    const existing = await settle(store.get(date));
+    if (!existing || existing.games < entry.games) await settle(store.put({ ...entry, date }));
+  })));
+  localStorage.removeItem(RUNS_KEY);
+  localStorage.removeItem(HISTORY_KEY);
+};
+
+// Days recorded in IndexedDB before slots carried a grid size (see recordKey)
+const regridHistory = () => withStore('history', 'readwrite', async (store) => {
+  const days = await settle(store.getAll());
+  await Promise.all(days.filter((d) => needsRegrid(d.byDifficulty))
+    .map((d) => settle(store.put({ ...d, byDifficulty: regrid(d.byDifficulty, mergeSlot) }))));
+});
+
+// Runs stored before the runSummaries store existed, or just moved over from
+// localStorage, get their summary written once
+const backfillSummaries = () => withStore(['runs', 'runSummaries'], 'readwrite', async (store, summaries) => {
+  const have = new Set(await settle(summaries.getAllKeys()));
+  const missing = (await settle(store.getAllKeys())).filter((ts) => !have.has(ts));
+  await Promise.all(missing.map(async (ts) => settle(summaries.put(summarizeRun(await settle(store.get(ts)))))));
+});
+
+let moved = null;
+const ready = () => {
+  if (!moved) {
+    moved = moveToIndexedDb().then(regridHistory).then(backfillSummaries);
+    moved.catch(() => { moved = null; });
+  }
+  return moved;
+};
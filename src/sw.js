@@ -0,0 +1,119 @@
+// ─── Service worker ─────────────────────────────────────────────────────────
+// Not bundled with the app: the `precache` plugin in vite.config.js emits it as
+// /sw.js and fills in the build's file list and version below.
+//
+//   app shell + build assets  precached, cache-first; navigations fall back to /index.html
+//   Google Fonts              stylesheet and every font file it names, precached at install
+//   soundtrack mp3            precached; served with Range support so <audio> can seek
+//   GET /api/scores           network-first, last good response when offline
+
+const BUILD_ID   = '__BUILD_ID__';
+const PRECACHE   = ['__PRECACHE__'];
+const FONT_CSS   = 'https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@400;600;700&display=swap';
+
+const SHELL_CACHE  = `arcade-arena-shell-${BUILD_ID}`;
+const FONT_CACHE   = 'arcade-arena-fonts-v1';
+const SCORES_CACHE = 'arcade-arena-scores-v1';
+const KEEP = [SHELL_CACHE, FONT_CACHE, SCORES_CACHE];
+
+// The stylesheet only names its font files, so cache it and then each of those
+const precacheFonts = async () => {
+  const cache = await caches.open(FONT_CACHE);
+  const res = await fetch(FONT_CSS, { mode: 'cors' });
+  if (!res.ok) return;
+  await cache.put(FONT_CSS, res.clone());
+  const css  = await res.text();
+  const urls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map((m) => m[1]);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    const font = await fetch(url, { mode: 'cors' });
+    if (font.ok) await cache.put(url, font);
+  }));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(PRECACHE);
+    // Fonts are nice to have — a blocked font host must not break offline play
+    try { await precacheFonts(); } catch { /* noop */ }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((n) => n.startsWith('arcade-arena-') && !KEEP.includes(n)).map((n) => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+// Cached responses are whole files; <audio> asks for byte ranges
+const rangeResponse = async (request, response) => {
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range') || '');
+  if (!match) return response;
+  const body  = await response.arrayBuffer();
+  const size  = body.byteLength;
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end   = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (start >= size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type':   response.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range':  `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges':  'bytes',
+    },
+  });
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+  return fetch(request);
+};
+
+const scoresNetworkFirst = async (request) => {
+  const cache = await caches.open(SCORES_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    return new Response(JSON.stringify({ error: 'offline' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;  // score submissions go through the app's own queue
+  const url = new URL(request.url);
+
+  if (url.pathname === '/api/scores') {
+    event.respondWith(scoresNetworkFirst(request));
+    return;
+  }
+
+  if (url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com') {
+    event.respondWith(caches.match(request).then((hit) => hit || fetch(request)));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('/index.html')));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
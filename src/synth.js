@@ -0,0 +1,91 @@
+// ─── Tap-melody synth ───────────────────────────────────────────────────────
+// One-shot voices on the melody bus (see audio.js). Each timbre is a small
+// oscillator patch; `at` schedules a note ahead (seconds, AudioContext time)
+// so previews and harmony chords can be laid out without timers.
+
+import { busInput, getAudioCtx } from './audio';
+
+export const TIMBRES = [
+  { id: 'marimba', label: 'Marimba' },
+  { id: 'bell',    label: 'Bell' },
+  { id: 'pluck',   label: 'Pluck' },
+];
+
+const envelope = (ctx, peak, attack, decay, at) => {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, at);
+  gain.gain.linearRampToValueAtTime(peak, at + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, at + decay);
+  return gain;
+};
+
+const VOICES = {
+  // Sine with a quick pitch settle and a short bright overtone for the "wood"
+  marimba: (ctx, bus, freq, volume, at) => {
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(freq * 1.007, at);
+    osc.frequency.exponentialRampToValueAtTime(freq, at + 0.01);
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(volume, at + 0.005);
+    gain.gain.exponentialRampToValueAtTime(volume * 0.3, at + 0.08);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.85);
+    const ot = ctx.createOscillator();
+    ot.type = 'sine';
+    ot.frequency.value = freq * 4.0;
+    const otGain = ctx.createGain();
+    otGain.gain.setValueAtTime(volume * 0.15, at);
+    otGain.gain.exponentialRampToValueAtTime(0.0001, at + 0.06);
+    osc.connect(gain).connect(bus);
+    ot.connect(otGain).connect(bus);
+    osc.start(at); osc.stop(at + 0.9);
+    ot.start(at);  ot.stop(at + 0.08);
+  },
+
+  // Inharmonic partials (tubular-bell ratios) with a long ring
+  bell: (ctx, bus, freq, volume, at) => {
+    [[1, 1, 1.8], [2.76, 0.35, 0.9], [5.4, 0.18, 0.45], [8.93, 0.08, 0.25]].forEach(([ratio, level, decay]) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.value = freq * ratio;
+      const gain = envelope(ctx, volume * level * 0.8, 0.003, decay, at);
+      osc.connect(gain).connect(bus);
+      osc.start(at); osc.stop(at + decay + 0.05);
+    });
+  },
+
+  // Sawtooth through a closing low-pass — a short plucked-string snap
+  pluck: (ctx, bus, freq, volume, at) => {
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = freq;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = 4;
+    filter.frequency.setValueAtTime(Math.min(12000, freq * 8), at);
+    filter.frequency.exponentialRampToValueAtTime(Math.max(200, freq * 1.2), at + 0.25);
+    const gain = envelope(ctx, volume * 0.6, 0.002, 0.4, at);
+    osc.connect(filter).connect(gain).connect(bus);
+    osc.start(at); osc.stop(at + 0.45);
+  },
+};
+
+// Plays `freq` on `timbre`; returns the context time it was scheduled at
+export const playNote = (freq, { timbre = 'marimba', volume = 0.2, at = null } = {}) => {
+  const ctx = getAudioCtx();
+  const bus = busInput('melody');
+  if (!ctx || !bus || !freq) return null;
+  const when = Math.max(ctx.currentTime, at ?? ctx.currentTime);
+  (VOICES[timbre] ?? VOICES.marimba)(ctx, bus, freq, volume, when);
+  return when;
+};
+
+// The whole phrase, `stepMs` apart — the editor's preview
+export const playPhrase = (freqs, { timbre, stepMs = 220, volume = 0.18 } = {}) => {
+  const ctx = getAudioCtx();
+  if (!ctx) return 0;
+  const start = ctx.currentTime + 0.05;
+  freqs.forEach((freq, i) => { if (freq) playNote(freq, { timbre, volume, at: start + (i * stepMs) / 1000 }); });
+  return freqs.length * stepMs;
+};
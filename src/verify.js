@@ -0,0 +1,110 @@
+// ─── Run verification ───────────────────────────────────────────────────────
+// Shared by the client (packing a run for submission) and any server or dev
+// endpoint that checks one. Plain ES module with explicit extensions so it
+// imports from Node as-is.
+//
+// The engine is deterministic given the seed and the player's taps: misses,
+// spawns and the countdown all follow from the run clock. So a submission only
+// needs the taps; the verifier replays them and recomputes the score.
+
+import { DIFFICULTY, GRID_SIZES, hit, modeRules, startGame, tick } from './engine.js';
+import { daySeed, hashSeed } from './rng.js';
+
+export const RUN_LOG_VERSION = 1;
+
+// Faster than any human can see a tile and tap it
+export const MIN_HUMAN_RT    = 80;
+export const FAST_STREAK_LEN = 3;
+// A tap can trail the frame tick it is logged at by about a frame; anything
+// far beyond that is a forged timestamp
+export const MAX_INPUT_LAG   = 250;
+
+const TAP_TYPES = new Set(['hit', 'wrong', 'hazard']);
+
+// Full event log → { v, taps: [[dt, cell, lag?], ...], end } with tap times
+// delta-encoded, which is all a replay needs
+export const compactLog = (log = []) => {
+  const taps = [];
+  let last = 0;
+  log.forEach((ev) => {
+    if (!TAP_TYPES.has(ev.type)) return;
+    taps.push(ev.lag ? [ev.t - last, ev.cell, ev.lag] : [ev.t - last, ev.cell]);
+    last = ev.t;
+  });
+  const end = log.find((ev) => ev.type === 'end');
+  return { v: RUN_LOG_VERSION, taps, end: end ? end.t : null };
+};
+
+// FNV-1a over every field the verifier relies on — catches a hand-edited
+// score or log, not a determined attacker (that is what the replay is for).
+// `day` only exists on Daily runs, so other checksums are unchanged by it.
+export const runChecksum = ({ seed, mode, difficulty, gridSize, day, score, log }) =>
+  hashSeed([seed, mode, difficulty, gridSize, ...(day != null ? [day] : []), score, JSON.stringify(log)].join('|'))
+    .toString(16).padStart(8, '0');
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reaction-time red flags among the replayed hits
+const plausibilityFlags = (hits) => {
+  const flags = [];
+  let run = [];
+  const closeRun = () => {
+    if (run.length >= FAST_STREAK_LEN) {
+      flags.push({ type: 'fast-streak', count: run.length, at: run[0].t, rts: run.map((h) => h.rt) });
+    }
+    run = [];
+  };
+  hits.forEach((h) => {
+    if (h.rt < MIN_HUMAN_RT) run.push(h);
+    else closeRun();
+  });
+  closeRun();
+  return flags;
+};
+
+// Replays a compact log through the engine. Returns
+// { ok, score, reason?, flags } — `ok` is false when the submission cannot be
+// reproduced; `flags` lists anything suspicious even when it can.
+export const verifyRun = ({ seed, mode = 'solo', difficulty, gridSize, day, score, log, checksum }) => {
+  const fail = (reason, extra = {}) => ({ ok: false, reason, flags: [], score: null, ...extra });
+
+  if (!log || log.v !== RUN_LOG_VERSION || !Array.isArray(log.taps)) return fail('unsupported log');
+  if (checksum !== runChecksum({ seed, mode, difficulty, gridSize, day, score, log })) return fail('checksum mismatch');
+  if (!modeRules(mode).ranked) return fail('unranked mode');
+  const settings = DIFFICULTY[difficulty];
+  if (!settings) return fail('unranked difficulty');
+  if (!GRID_SIZES.includes(gridSize)) return fail('bad grid size');
+  if (!Number.isInteger(seed)) return fail('bad seed');
+  // Daily boards only take the day's own seed — not an easier one picked by the player
+  if (mode === 'daily') {
+    if (typeof day !== 'string' || !DAY_RE.test(day)) return fail('missing day');
+    if (seed !== daySeed(day)) return fail('not the daily seed');
+  }
+
+  const cellCount = gridSize * gridSize;
+  let { state } = startGame({ settings, seed: seed >>> 0, cellCount, mode });
+  const hits = [];
+  let t = 0;
+
+  for (const [dt, cell, lag = 0] of log.taps) {
+    if (!Number.isFinite(dt) || dt < 0 || !Number.isInteger(cell) || cell < 0 || cell >= cellCount) {
+      return fail('malformed tap');
+    }
+    if (!Number.isFinite(lag) || lag < 0 || lag > MAX_INPUT_LAG) return fail('implausible input lag');
+    if (state.over) return fail('taps after the run ended');
+    t += dt;
+    // Bring the clock to the frame the tap was logged at, then apply the tap
+    // at its own timestamp — the same two steps the live game took
+    state = tick(state, t).state;
+    if (state.over) return fail('taps after the run ended');
+    const result = hit(state, cell, t - lag);
+    result.events.forEach((ev) => { if (ev.type === 'hit') hits.push(ev); });
+    state = result.state;
+  }
+
+  if (!state.over && log.end != null) state = tick(state, log.end).state;
+  if (!state.over) return fail('run never ended', { score: state.score });
+  if (state.score !== score) return fail('score mismatch', { score: state.score });
+
+  return { ok: true, score: state.score, flags: plausibilityFlags(hits) };
+};
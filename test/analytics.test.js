@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HIST_BIN_MS, HIST_MAX_MS, consistencyLabel, fatigueCurve, heatmapSizes, reactionHistogram, reactionStats,
+  reactionTrend, tileHeatmap, tileName,
+} from '../src/analytics.js';
+
+const runWith = (timestamp, rts) => ({ timestamp, reactions: rts.map((rt, i) => [(i + 1) * 1000, rt]) });
+
+test('reactionStats interpolates percentiles between ranks', () => {
+  const { cv, ...stats } = reactionStats([500, 100, 400, 200, 300]);
+  assert.deepEqual(stats, { count: 5, mean: 300, median: 300, p90: 460, sd: 141 });
+  assert.ok(Math.abs(cv - Math.sqrt(20_000) / 300) < 1e-9);
+
+  assert.equal(reactionStats([100, 200, 300, 400]).median, 250);
+  assert.deepEqual(reactionStats([250]), { count: 1, mean: 250, median: 250, p90: 250, sd: 0, cv: 0 });
+  assert.equal(reactionStats([]), null);
+});
+
+test('consistencyLabel needs five hits and grades spread against speed', () => {
+  assert.equal(consistencyLabel(reactionStats([300, 300, 300, 300])), null);
+  assert.equal(consistencyLabel({ count: 5, cv: 0.1 }), 'Very consistent');
+  assert.equal(consistencyLabel({ count: 5, cv: 0.25 }), 'Consistent');
+  assert.equal(consistencyLabel({ count: 5, cv: 0.4 }), 'Variable');
+  assert.equal(consistencyLabel({ count: 5, cv: 0.6 }), 'Streaky');
+});
+
+test('reactionHistogram bins every hit, slow ones in the open last bin', () => {
+  const bins = reactionHistogram([runWith(1, [0, 49, 50]), runWith(2, [999, HIST_MAX_MS, 5000])]);
+  assert.equal(bins.length, HIST_MAX_MS / HIST_BIN_MS + 1);
+  assert.deepEqual(bins[0], { from: 0, to: 50, count: 2 });
+  assert.deepEqual(bins[1], { from: 50, to: 100, count: 1 });
+  assert.equal(bins.at(-2).count, 1);
+  assert.deepEqual(bins.at(-1), { from: HIST_MAX_MS, to: null, count: 2 });
+  assert.equal(bins.reduce((n, b) => n + b.count, 0), 6);
+});
+
+test('fatigueCurve pools windows across runs and skips empty ones', () => {
+  const curve = fatigueCurve([
+    { reactions: [[1000, 200], [4000, 300]] },
+    { reactions: [[4500, 400], [26_000, 500]] },
+  ]);
+  assert.deepEqual(curve, [{ s: 0, median: 300, count: 3 }, { s: 25, median: 500, count: 1 }]);
+});
+
+test('reactionTrend lists runs with hits, oldest first', () => {
+  const trend = reactionTrend([runWith(3, [200, 400]), { timestamp: 2, reactions: [] }, runWith(1, [300])]);
+  assert.deepEqual(trend.map((p) => [p.timestamp, p.median]), [[1, 300], [3, 300]]);
+});
+
+test('tileHeatmap pools runs of one grid size', () => {
+  const runs = [
+    { tiles: [[2, 0, 0, 600], [0, 2, 1, 0], [0, 0, 0, 0], [1, 1, 0, 500]] },
+    { tiles: [[1, 1, 0, 300], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]] },
+    { tiles: Array(9).fill([5, 5, 5, 5]) },  // 3x3, ignored for 2x2
+    { tiles: null },
+  ];
+  const [first, second, third, fourth] = tileHeatmap(runs, 2);
+  assert.deepEqual(first, { cell: 0, hits: 3, misses: 1, stray: 0, targets: 4, missRate: 0.25, avgReaction: 300 });
+  assert.equal(second.missRate, 1);
+  assert.equal(second.avgReaction, null);
+  assert.equal(second.stray, 1);
+  assert.equal(third.missRate, null);
+  assert.equal(fourth.avgReaction, 500);
+  assert.deepEqual(heatmapSizes(runs), [2, 3]);
+});
+
+test('tileName names corners, edges and the middle', () => {
+  assert.equal(tileName(0, 3), 'top-left corner');
+  assert.equal(tileName(8, 3), 'bottom-right corner');
+  assert.equal(tileName(1, 3), 'top edge, column 2');
+  assert.equal(tileName(3, 3), 'left edge, row 2');
+  assert.equal(tileName(4, 3), 'row 2, column 2');
+});
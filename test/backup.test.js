@@ -0,0 +1,80 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FORMAT, collectBackup, planImport, runsToCsv, validateBackup } from '../src/backup.js';
+import { PB_KEY, RUNS_KEY } from '../src/storage.js';
+import { installLocalStorage } from './localStorage.js';
+
+// There is no IndexedDB in Node, so runs and history use the localStorage fallback
+beforeEach(() => { installLocalStorage(); });
+
+const run = (timestamp, extra = {}) => ({
+  timestamp, date: '2026-10-19', score: 120, mode: 'solo', difficulty: 'normal', gridSize: 3, seed: 7,
+  hits: 2, misses: 1, accuracy: 67, fastestHit: 250, avgReaction: 300, maxStreak: 2,
+  reactions: [[400, 250], [900, 350]],
+  tiles: Array.from({ length: 9 }, (_, i) => (i === 4 ? [2, 1, 0, 600] : [0, 0, 0, 0])),
+  log: [{ t: 0, type: 'start', time: 30 }, { t: 150, type: 'spawn', cell: 4, hazard: null, window: 1900 }, { t: 400, type: 'hit', cell: 4, rt: 250 }],
+  ...extra,
+});
+
+const backupWith = (runs, stats = {}) => ({ format: BACKUP_FORMAT, version: 1, stats: { runs, ...stats } });
+const problems = (runs) => validateBackup(backupWith(runs));
+
+test('an exported backup validates', async () => {
+  localStorage.setItem(RUNS_KEY, JSON.stringify([run(2), run(1)]));
+  localStorage.setItem(PB_KEY, JSON.stringify({ 'normal@3': 120 }));
+  localStorage.setItem('arcade_arena_theme', 'dark');
+  const backup = JSON.parse(JSON.stringify(await collectBackup()));
+  assert.deepEqual(validateBackup(backup), []);
+  assert.equal(backup.stats.runs.length, 2);
+  assert.deepEqual(backup.prefs, { arcade_arena_theme: 'dark' });
+});
+
+test('malformed run logs are rejected', () => {
+  assert.deepEqual(problems([run(1)]), []);
+  assert.equal(problems([run(1, { log: 'nope' })]).length, 1);
+  assert.equal(problems([run(1, { log: [{ type: 'hit', cell: 4 }] })]).length, 1);          // no t
+  assert.equal(problems([run(1, { log: [{ t: 10, cell: 4 }] })]).length, 1);               // no type
+  assert.equal(problems([run(1, { log: [{ t: 10, type: 'hit', cell: -1 }] })]).length, 1); // bad cell
+  assert.equal(problems([run(1, { log: [{ t: 10, type: 'hit', rt: Infinity }] })]).length, 1);
+  assert.match(problems([run(1), run(2, { log: [null] })])[0], /stats\.runs\[1\]/);
+});
+
+test('malformed reactions and tiles are rejected', () => {
+  assert.equal(problems([run(1, { reactions: [[400]] })]).length, 1);
+  assert.equal(problems([run(1, { reactions: [[400, '250']] })]).length, 1);
+  assert.equal(problems([run(1, { reactions: [[400, null]] })]).length, 1);
+  assert.equal(problems([run(1, { reactions: {} })]).length, 1);
+  assert.equal(problems([run(1, { tiles: [[1, 0, 0]] })]).length, 1);
+  assert.equal(problems([run(1, { tiles: [[1, 0, -1, 0]] })]).length, 1);
+  assert.deepEqual(problems([run(1, { reactions: undefined, tiles: null, log: undefined })]), []);
+});
+
+test('non-finite numbers are rejected wherever they appear', () => {
+  assert.equal(problems([run(NaN)]).length, 1);
+  assert.equal(problems([run(1, { score: null })]).length, 1);
+  assert.equal(problems([run(1, { avgReaction: Infinity })]).length, 1);
+  assert.equal(problems([run(1, { hits: '2' })]).length, 1);
+  assert.equal(validateBackup(backupWith([], { personalBests: { 'normal@3': NaN } })).length, 1);
+  assert.equal(validateBackup(backupWith([], {
+    history: { '2026-10-19': { score: 10, games: 1, byDifficulty: { 'normal@3': { score: 10, games: 1.5 } } } },
+  })).length, 1);
+});
+
+test('planImport keeps the best scores and only adds unseen runs', async () => {
+  localStorage.setItem(RUNS_KEY, JSON.stringify([run(1)]));
+  localStorage.setItem(PB_KEY, JSON.stringify({ 'normal@3': 150, 'hard@5': 90 }));
+  const { merged, preview } = await planImport(backupWith([run(2), run(1)], {
+    personalBests: { 'normal@3': 120, 'hard@5': 200 },
+  }));
+  assert.deepEqual(merged.stats.personalBests, { 'normal@3': 150, 'hard@5': 200 });
+  assert.deepEqual(preview.pbChanges, [{ key: 'hard@5', from: 90, to: 200 }]);
+  assert.deepEqual(merged.stats.runs.map((r) => r.timestamp), [2]);
+  assert.equal(preview.runsAdded, 1);
+  assert.equal(preview.runsDuplicate, 1);
+});
+
+test('runsToCsv quotes text and defuses spreadsheet formulas', () => {
+  const [header, row] = runsToCsv([run(Date.UTC(2026, 9, 19), { mode: '=cmd()', difficulty: 'a,"b"', misses: -1 })]).split('\r\n');
+  assert.equal(header.split(',')[0], 'playedAt');
+  assert.ok(row.startsWith('2026-10-19T00:00:00.000Z,2026-10-19,\'=cmd(),"a,""b""",3,120,2,-1,'));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIFFICULTY, hit, miss, startGame, tick } from '../src/engine.js';
+import { playRun } from './play.js';
+
+const settings = DIFFICULTY.normal;
+
+test('startGame spawns the same first target for the same seed', () => {
+  const a = startGame({ settings, seed: 42, cellCount: 25 });
+  const b = startGame({ settings, seed: 42, cellCount: 25 });
+  assert.deepEqual(a, b);
+  assert.equal(a.events[0].type, 'start');
+  assert.ok(a.events.some((ev) => ev.type === 'spawn' && ev.cell === a.state.activeCell));
+});
+
+test('a whole run is reproducible from its seed and taps', () => {
+  const first  = playRun({ seed: 7, missEvery: 4 });
+  const second = playRun({ seed: 7, missEvery: 4 });
+  assert.ok(first.state.over);
+  assert.deepEqual(second.log, first.log);
+  assert.equal(second.state.score, first.state.score);
+
+  const other = playRun({ seed: 8, missEvery: 4 });
+  const cells = (log) => log.filter((ev) => ev.type === 'spawn').map((ev) => ev.cell);
+  assert.notDeepEqual(cells(other.log), cells(first.log));
+});
+
+test('transitions never mutate their input state', () => {
+  const { state } = startGame({ settings, seed: 3, cellCount: 16 });
+  const before = JSON.stringify(state);
+  tick(state, 5000);
+  hit(state, state.activeCell, 200);
+  miss(state, 100);
+  assert.equal(JSON.stringify(state), before);
+});
+
+test('hit scores the active tile and measures reaction from its spawn', () => {
+  const { state } = startGame({ settings, seed: 11, cellCount: 25 });
+  const { state: next, events } = hit(state, state.activeCell, 250);
+  const ev = events.find((e) => e.type === 'hit');
+  assert.equal(ev.rt, 250);
+  assert.equal(next.hits, 1);
+  assert.equal(next.streak, 1);
+  assert.ok(next.score > 0);
+  assert.ok(events.some((e) => e.type === 'spawn'));
+});
+
+test('hit on an empty tile is a wrong tap and breaks the streak', () => {
+  const { state } = startGame({ settings, seed: 11, cellCount: 25 });
+  const { state: streaking } = hit(state, state.activeCell, 250);
+  const empty = [...Array(25).keys()].find((c) => c !== streaking.activeCell && c !== streaking.hazardCell);
+  const { state: next, events } = hit(streaking, empty, 400);
+  assert.ok(events.some((e) => e.type === 'wrong' && e.cell === empty));
+  assert.equal(next.streak, 0);
+  assert.equal(next.misses, 1);
+});
+
+test('miss expires the target and costs time', () => {
+  const { state } = startGame({ settings, seed: 5, cellCount: 25 });
+  const { state: next, events } = miss(state, 100);
+  assert.ok(events.some((e) => e.type === 'miss' && e.cell === state.activeCell));
+  assert.equal(next.misses, 1);
+  assert.ok(next.timeLeft < state.timeLeft - settings.missPenalty + 0.5);
+});
+
+test('tick resolves a target that expired between frames at its expiry time', () => {
+  const { state } = startGame({ settings, seed: 9, cellCount: 25 });
+  const { events } = tick(state, state.expiresAt + 500);
+  const missed = events.find((e) => e.type === 'miss');
+  assert.ok(missed);
+  assert.equal(missed.t, state.expiresAt);
+});
+
+test('the time bank runs out and ends the run', () => {
+  const { state, log } = playRun({ seed: 21, missEvery: 1 });
+  assert.ok(state.over);
+  assert.equal(state.timeLeft, 0);
+  assert.equal(log.at(-1).type, 'end');
+});
+
+test('the timer runs out at the same clock however often it is ticked', () => {
+  const { state } = startGame({ settings, seed: 4, cellCount: 25, mode: 'sprint' });
+  let stepped = state;
+  for (let t = 1; t < 60_000; t++) stepped = tick(stepped, t).state;
+  assert.equal(stepped.over, false);
+  assert.equal(tick(stepped, 60_000).state.over, true);
+
+  const jumped = tick(tick(state, 59_999).state, 60_000).state;
+  assert.equal(jumped.over, true);
+  assert.equal(jumped.score, tick(stepped, 60_000).state.score);
+});
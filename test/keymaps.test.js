@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GRID_SIZES } from '../src/engine.js';
+import { codeLabel, keyLayout, moveCursor } from '../src/keymaps.js';
+
+test('key grids map every tile exactly once per block', () => {
+  [3, 4, 5].forEach((size) => {
+    const layout = keyLayout(size);
+    assert.equal(layout.scheme, 'keys');
+    assert.equal(layout.hints.length, size * size);
+    assert.equal(new Set(layout.hints).size, size * size);
+    layout.hints.forEach((code, cell) => assert.equal(layout.codes.get(code), cell, `${size}: ${code}`));
+  });
+});
+
+test('3x3 takes the numpad and the letter block, with letter hints', () => {
+  const { codes, hints } = keyLayout(3);
+  assert.equal(codes.size, 18);
+  assert.equal(codes.get('Numpad7'), 0);
+  assert.equal(codes.get('Numpad3'), 8);
+  assert.deepEqual(hints.slice(0, 3), ['KeyQ', 'KeyW', 'KeyE']);
+});
+
+test('5x5 ends on the right-hand home row', () => {
+  const { codes, hints } = keyLayout(5);
+  assert.deepEqual(hints.slice(20).map(codeLabel), ['H', 'J', 'K', 'L', ';']);
+  assert.equal(codes.get('Semicolon'), 24);
+  // M toggles sound and P pauses, so neither may be a tile
+  assert.equal(codes.has('KeyM'), false);
+  assert.equal(codes.has('KeyP'), false);
+});
+
+test('larger grids fall back to the cursor', () => {
+  GRID_SIZES.filter((n) => n > 5).forEach((size) => assert.deepEqual(keyLayout(size), { scheme: 'cursor' }));
+});
+
+test('the cursor moves one tile and stops at the edges', () => {
+  assert.equal(moveCursor(0, [1, 0], 6, 6), 1);
+  assert.equal(moveCursor(0, [-1, 0], 6, 6), 0);
+  assert.equal(moveCursor(0, [0, -1], 6, 6), 0);
+  assert.equal(moveCursor(35, [0, 1], 6, 6), 35);
+  assert.equal(moveCursor(5, [1, 0], 6, 6), 5);
+  assert.equal(moveCursor(5, [0, 1], 6, 6), 11);
+});
+
+test('codeLabel strips the code prefixes', () => {
+  assert.deepEqual(['KeyQ', 'Digit1', 'Numpad7', 'Semicolon'].map(codeLabel), ['Q', '1', '7', ';']);
+});
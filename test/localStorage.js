@@ -0,0 +1,15 @@
+// ─── In-memory localStorage for the storage-backed module tests ─────────────
+
+// Installs a fresh, empty `globalThis.localStorage` and returns it
+export const installLocalStorage = () => {
+  const data = new Map();
+  globalThis.localStorage = {
+    get length() { return data.size; },
+    key:        (i) => [...data.keys()][i] ?? null,
+    getItem:    (key) => (data.has(key) ? data.get(key) : null),
+    setItem:    (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    clear:      () => { data.clear(); },
+  };
+  return globalThis.localStorage;
+};
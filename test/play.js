@@ -0,0 +1,51 @@
+// ─── Scripted runs for the engine / verifier tests ──────────────────────────
+
+import { DIFFICULTY, hit, startGame, tick } from '../src/engine.js';
+
+// Plays a run to the end with a bot that taps each target `rt` ms after it
+// appears, letting every `missEvery`-th one expire instead. Returns the final
+// state and the full event log, as GameBoard would have recorded it. It only
+// ticks at tap and expiry times; see playLive for frame-rate ticking.
+export const playRun = ({
+  seed, mode = 'solo', difficulty = 'normal', gridSize = 5, rt = 300, missEvery = 0, maxTargets = 5000,
+}) => {
+  let { state, events } = startGame({ settings: DIFFICULTY[difficulty], seed, cellCount: gridSize * gridSize, mode });
+  const log = [...events];
+  const apply = (result) => { state = result.state; log.push(...result.events); };
+
+  for (let n = 1; !state.over && n <= maxTargets; n++) {
+    if (missEvery && n % missEvery === 0) { apply(tick(state, state.expiresAt)); continue; }
+    const at = state.spawnedAt + rt;
+    apply(tick(state, at));
+    if (!state.over) apply(hit(state, state.activeCell, at));
+  }
+  return { state, log };
+};
+
+// The same bot the way the live game sees it: the engine is ticked once per
+// animation frame (whole ms, as GameBoard's run clock), and each tap reaches
+// it just after the next frame's tick, stamped with when it happened — so
+// most taps arrive with a few ms of lag.
+export const playLive = ({
+  seed, mode = 'solo', difficulty = 'normal', gridSize = 5, rt = 300, missEvery = 0, frameMs = 1000 / 60, maxFrames = 100_000,
+}) => {
+  let { state, events } = startGame({ settings: DIFFICULTY[difficulty], seed, cellCount: gridSize * gridSize, mode });
+  const log = [...events];
+  const apply = (result) => { state = result.state; log.push(...result.events); };
+  let pending = null;  // { cell, at }
+  let seen = null;     // spawnedAt of the last target the bot looked at
+  let targets = 0;
+
+  for (let frame = 1; !state.over && frame <= maxFrames; frame++) {
+    const now = Math.round(frame * frameMs);
+    apply(tick(state, now));
+    if (state.over) break;
+    if (pending && pending.at <= now) { apply(hit(state, pending.cell, pending.at)); pending = null; }
+    if (!pending && state.activeCell !== null && state.spawnedAt !== seen) {
+      seen = state.spawnedAt;
+      targets += 1;
+      if (!(missEvery && targets % missEvery === 0)) pending = { cell: state.activeCell, at: state.spawnedAt + rt };
+    }
+  }
+  return { state, log };
+};
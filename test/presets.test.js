@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIFFICULTY } from '../src/engine.js';
+import {
+  DIFFICULTY_FIELDS, decodePreset, encodePreset, parsePresetInput, validateSettings,
+} from '../src/presets.js';
+
+// Encodes raw field values the way encodePreset does, without validating them
+const codeFor = (values) => `c1.${Buffer.from(JSON.stringify(values)).toString('base64url')}`;
+const fieldsOf = (settings) => DIFFICULTY_FIELDS.map(({ key }) => settings[key]);
+
+test('every built-in difficulty is a valid preset and survives a round trip', () => {
+  Object.values(DIFFICULTY).forEach((settings) => {
+    assert.deepEqual(validateSettings(settings), {});
+    const code = encodePreset(settings);
+    assert.match(code, /^c1\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(fieldsOf(decodePreset(code)), fieldsOf(settings));
+  });
+});
+
+test('share links and padded codes decode to the same settings', () => {
+  const code = encodePreset(DIFFICULTY.hard);
+  const link = `https://example.test/play?preset=${code}`;
+  assert.deepEqual(parsePresetInput(link), decodePreset(code));
+  assert.deepEqual(parsePresetInput(`  ${code}\n`), decodePreset(code));
+});
+
+test('out-of-range and inconsistent values are rejected', () => {
+  const values = fieldsOf(DIFFICULTY.normal);
+  const withField = (key, value) => values.map((v, i) => (DIFFICULTY_FIELDS[i].key === key ? value : v));
+
+  assert.equal(decodePreset(codeFor(withField('startTime', 500))), null);
+  assert.equal(decodePreset(codeFor(withField('hazardChance', -0.1))), null);
+  assert.equal(decodePreset(codeFor(withField('missPenalty', '4'))), null);
+  assert.equal(decodePreset(codeFor(withField('paceFloor', 2500))), null);  // above paceBase
+  assert.equal(validateSettings({ ...DIFFICULTY.normal, paceFloor: 2500 }).paceFloor,
+    'Floor cannot exceed the starting window');
+  assert.equal(validateSettings({ ...DIFFICULTY.normal, rewardSlope: NaN }).rewardSlope, 'Reward slope (ms) must be a number');
+});
+
+test('malformed codes decode to null', () => {
+  assert.equal(decodePreset('c1.%%%'), null);
+  assert.equal(decodePreset(`c2.${codeFor(fieldsOf(DIFFICULTY.normal)).slice(3)}`), null);
+  assert.equal(decodePreset(codeFor(fieldsOf(DIFFICULTY.normal).slice(1))), null);
+  assert.equal(parsePresetInput('https://example.test/?preset='), null);
+});
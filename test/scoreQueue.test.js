@@ -0,0 +1,97 @@
+import { beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUEUE_KEY, enqueueScore, flushQueue, isRetryable, nextRetryAt, readQueue } from '../src/scoreQueue.js';
+import { installLocalStorage } from './localStorage.js';
+
+const payload = (score) => ({ playerName: 'ada', score, mode: 'solo', deviceId: 'dev1' });
+
+// Answers every submission with `status` (null: the network is down)
+const serverReplies = (status) => mock.method(globalThis, 'fetch', async () => {
+  if (status === null) throw new TypeError('Failed to fetch');
+  return { ok: status < 400, status, json: async () => ({}) };
+});
+
+beforeEach(() => {
+  installLocalStorage();
+  mock.restoreAll();
+});
+
+test('queued scores are sent oldest first and leave the queue', async () => {
+  enqueueScore(payload(10), 1000);
+  enqueueScore(payload(20), 2000);
+  const fetch = serverReplies(200);
+  const { sent, dropped, remaining } = await flushQueue();
+  assert.deepEqual(sent.map((q) => q.payload.score), [10, 20]);
+  assert.equal(JSON.parse(fetch.mock.calls[0].arguments[1].body).playedAt, 1000);
+  assert.deepEqual(dropped, []);
+  assert.equal(remaining, 0);
+  assert.equal(nextRetryAt(), null);
+});
+
+test('a network failure backs off exponentially and stops the pass', async () => {
+  enqueueScore(payload(10), 1000);
+  enqueueScore(payload(20), 2000);
+  const fetch = serverReplies(null);
+
+  let before = Date.now();
+  await flushQueue();
+  let [first, second] = readQueue();
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(first.attempts, 1);
+  assert.ok(first.nextAttemptAt >= before + 5_000 && first.nextAttemptAt <= Date.now() + 5_000);
+  assert.equal(second.attempts, 0);
+
+  // The first entry waits out its backoff unless the pass is forced; the
+  // second was never tried, so it is still due
+  await flushQueue();
+  assert.equal(fetch.mock.callCount(), 2);
+  [first, second] = readQueue();
+  assert.equal(first.attempts, 1);
+  assert.equal(second.attempts, 1);
+
+  before = Date.now();
+  await flushQueue({ force: true });
+  [first] = readQueue();
+  assert.equal(first.attempts, 2);
+  assert.ok(first.nextAttemptAt >= before + 10_000 && first.nextAttemptAt <= Date.now() + 10_000);
+});
+
+test('backoff is capped at five minutes', async () => {
+  enqueueScore(payload(10), 1000);
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(readQueue().map((q) => ({ ...q, attempts: 12 }))));
+  serverReplies(503);
+  const before = Date.now();
+  await flushQueue();
+  const [entry] = readQueue();
+  assert.equal(entry.attempts, 13);
+  assert.ok(entry.nextAttemptAt >= before + 300_000 && entry.nextAttemptAt <= Date.now() + 300_000);
+});
+
+test('server errors retry each entry; client errors drop them', async () => {
+  enqueueScore(payload(10), 1000);
+  enqueueScore(payload(20), 2000);
+  const fetch = serverReplies(500);
+  await flushQueue();
+  assert.equal(fetch.mock.callCount(), 2);  // a 5xx is per request, so the pass carries on
+  assert.equal(readQueue().length, 2);
+
+  mock.restoreAll();
+  serverReplies(422);
+  const { dropped, remaining } = await flushQueue({ force: true });
+  assert.equal(dropped.length, 2);
+  assert.match(dropped[0].error, /could not be verified/);
+  assert.equal(remaining, 0);
+});
+
+test('only network failures, 5xx, 408 and 429 are retryable', () => {
+  [undefined, 500, 503, 408, 429].forEach((status) => assert.equal(isRetryable({ status }), true, String(status)));
+  [400, 401, 404, 409, 422].forEach((status) => assert.equal(isRetryable({ status }), false, String(status)));
+});
+
+test('concurrent flushes share one pass', async () => {
+  enqueueScore(payload(10), 1000);
+  const fetch = serverReplies(200);
+  const [a, b] = await Promise.all([flushQueue(), flushQueue()]);
+  assert.equal(a, b);
+  assert.equal(fetch.mock.callCount(), 1);
+});
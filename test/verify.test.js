@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compactLog, runChecksum, verifyRun } from '../src/verify.js';
+import { daySeed } from '../src/rng.js';
+import { playLive, playRun } from './play.js';
+
+// What App submits for a finished run
+const submission = ({ state, log }, fields) => {
+  const run = {
+    seed: state.seed, mode: 'solo', difficulty: 'normal', gridSize: 5, ...fields, score: state.score, log: compactLog(log),
+  };
+  return { ...run, checksum: runChecksum(run) };
+};
+
+test('a recorded run verifies with the same score', () => {
+  const played = playRun({ seed: 1234, missEvery: 3 });
+  const result = verifyRun(submission(played));
+  assert.equal(result.ok, true, result.reason);
+  assert.equal(result.score, played.state.score);
+  assert.deepEqual(result.flags, []);
+});
+
+test('every ranked mode and grid size round-trips', () => {
+  [['sprint', 4], ['survival', 6], ['solo', 3]].forEach(([mode, gridSize]) => {
+    const played = playRun({ seed: 99, mode, gridSize, rt: 420, missEvery: 5 });
+    const result = verifyRun(submission(played, { mode, gridSize }));
+    assert.equal(result.ok, true, `${mode}: ${result.reason}`);
+    assert.equal(result.score, played.state.score);
+  });
+});
+
+test('an edited score is caught by the checksum and by the replay', () => {
+  const played = playRun({ seed: 55, missEvery: 3 });
+  const sub = submission(played);
+  assert.equal(verifyRun({ ...sub, score: sub.score + 100 }).reason, 'checksum mismatch');
+
+  const forged = { ...sub, score: sub.score + 100 };
+  forged.checksum = runChecksum(forged);
+  const result = verifyRun(forged);
+  assert.equal(result.reason, 'score mismatch');
+  assert.equal(result.score, played.state.score);
+});
+
+test('inhumanly fast hits verify but are flagged', () => {
+  const played = playRun({ seed: 77, mode: 'sprint', rt: 40 });  // Sprint ends on its clock
+  const result = verifyRun(submission(played, { mode: 'sprint' }));
+  assert.equal(result.ok, true, result.reason);
+  assert.equal(result.flags.length, 1);
+  assert.equal(result.flags[0].type, 'fast-streak');
+  assert.equal(result.flags[0].count, played.state.hits);
+});
+
+test('unranked modes and unsupported grids are rejected', () => {
+  const played = playRun({ seed: 3, missEvery: 2 });
+  assert.equal(verifyRun(submission(played, { mode: 'zen' })).reason, 'unranked mode');
+  assert.equal(verifyRun(submission(played, { gridSize: 2 })).reason, 'bad grid size');
+  assert.equal(verifyRun(submission(played, { gridSize: 100 })).reason, 'bad grid size');
+});
+
+test('Daily runs must play the seed of the day they name', () => {
+  const day    = '2026-10-19';
+  const played = playRun({ seed: daySeed(day), mode: 'daily', missEvery: 3 });
+  assert.equal(verifyRun(submission(played, { mode: 'daily', day })).ok, true);
+  assert.equal(verifyRun(submission(played, { mode: 'daily' })).reason, 'missing day');
+  assert.equal(verifyRun(submission(played, { mode: 'daily', day: '2026-10-18' })).reason, 'not the daily seed');
+
+  const ownSeed = playRun({ seed: 1, mode: 'daily', missEvery: 3 });
+  assert.equal(verifyRun(submission(ownSeed, { mode: 'daily', day })).reason, 'not the daily seed');
+});
+
+test('runs ticked at frame rate with lagged taps verify in every ranked mode', () => {
+  ['sprint', 'solo', 'daily', 'survival'].forEach((mode) => {
+    for (let seed = 1; seed <= 12; seed++) {
+      const day    = '2026-10-19';
+      const played = playLive({ seed: mode === 'daily' ? daySeed(day) : seed, mode, rt: 280 + seed * 20, missEvery: 4 });
+      assert.ok(played.log.some((ev) => ev.lag > 0), 'some taps should arrive after the frame tick');
+      const result = verifyRun(submission(played, { mode, ...(mode === 'daily' ? { day } : {}) }));
+      assert.equal(result.ok, true, `${mode} seed ${seed}: ${result.reason}`);
+      assert.equal(result.score, played.state.score);
+    }
+  });
+});
@@ -1,12 +1,100 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { verifyRun } from './src/verify.js';
+
+const API_TARGET = 'https://reflextile-api-v2.atlasholdin.com';
+
+const publicFiles = (dir, root = dir) => readdirSync(dir).flatMap((name) => {
+  const path = join(dir, name);
+  return statSync(path).isDirectory() ? publicFiles(path, root) : [relative(root, path).split(sep).join('/')];
+});
+
+// Emits src/sw.js as /sw.js with the build's files filled in, so the service
+// worker precaches exactly what this build shipped (see src/sw.js)
+const precache = () => ({
+  name: 'arcade-arena-precache',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const statics = publicFiles('public');
+    const urls = [...new Set(['/', '/index.html',
+      ...Object.keys(bundle), ...statics].map((f) => (f.startsWith('/') ? f : `/${f}`)))]
+      .filter((url) => url !== '/sw.js' && !url.endsWith('.map'));
+    const buildId = createHash('sha256')
+      .update(urls.join('\n'))
+      .update(statics.map((f) => `${f}:${statSync(join('public', f)).size}`).join('\n'))
+      .digest('hex').slice(0, 12);
+    const source = readFileSync('src/sw.js', 'utf8')
+      .replace("'__BUILD_ID__'", JSON.stringify(buildId))
+      .replace("['__PRECACHE__']", JSON.stringify(urls));
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  },
+});
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => { try { resolve(JSON.parse(raw || '{}')); } catch (err) { reject(err); } });
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+// Local stand-in for the server-side check. With VITE_API_BASE set empty the
+// client talks to the dev server, where:
+//   POST /api/verify  replays a submission and returns the verifyRun() result
+//   POST /api/scores  is replayed first — 422 if it doesn't reproduce, a logged
+//                     warning if it is merely suspicious — then forwarded upstream
+const devVerifier = () => ({
+  name: 'arcade-arena-dev-verifier',
+  apply: 'serve',
+  configureServer(server) {
+    const { logger } = server.config;
+    server.middlewares.use(async (req, res, next) => {
+      const path = req.url.split('?')[0];
+      if (req.method !== 'POST' || (path !== '/api/verify' && path !== '/api/scores')) return next();
+
+      let submission;
+      try { submission = await readJsonBody(req); } catch { return sendJson(res, 400, { error: 'invalid JSON' }); }
+      const result = verifyRun(submission);
+      if (path === '/api/verify') return sendJson(res, 200, result);
+
+      if (!result.ok) {
+        logger.warn(`[verify] rejected ${submission.playerName}: ${result.reason}`);
+        return sendJson(res, 422, { error: result.reason, score: result.score });
+      }
+      if (result.flags.length > 0) {
+        logger.warn(`[verify] flagged ${submission.playerName}: ${result.flags.map((f) => `${f.type} x${f.count}`).join(', ')}`);
+      }
+      try {
+        const upstream = await fetch(`${API_TARGET}/api/scores`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(submission),
+        });
+        res.statusCode = upstream.status;
+        res.setHeader('Content-Type', upstream.headers.get('Content-Type') || 'application/json');
+        res.end(await upstream.text());
+      } catch {
+        sendJson(res, 502, { error: 'upstream unavailable' });
+      }
+    });
+  },
+});
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precache(), devVerifier()],
   server: {
     port: 5173,
     proxy: {
-      '/api': 'https://reflextile-api-v2.atlasholdin.com',
+      '/api': API_TARGET,
     },
   },
 });